@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+// Single entry point for the report pipeline:
+//
+//   node cli.js extract [options]   run the query file into JSON (Input/)
+//   node cli.js build [options]     turn the JSON into workbooks (Output/),
+//                                   or CSV, NDJSON and HTML with --format
+//   node cli.js run [options]       both, one after the other
+//   node cli.js diff [options]      compare two extract snapshots
+//
+// Every run prints a status table and saves it as JSON (--report, by
+// default Input/.run-report.json). Exit codes (for cron): 0 ok, 1 fatal
+// error or bad usage, 2 finished but some sections or files failed (or
+// returned no rows, with --strict).
+
+const { PREVIOUS_INPUT_DIR, DEFAULTS, parseOptions } = require("./lib/options");
+const { DEFAULT_COMPLIANCE_THRESHOLD } = require("./lib/xlsxWriter");
+const {
+  REPORT_FILE,
+  createRunReport,
+  reportFailures,
+  finishRunReport,
+} = require("./lib/runReport");
+const { extract } = require("./process_queries");
+const { build } = require("./json_to_excel");
+const { diff } = require("./diff_snapshots");
+const { SNAPSHOTS_DIR } = require("./lib/snapshots");
+
+const USAGE = `Usage: node cli.js <extract|build|run|diff> [options]
+
+Commands:
+  extract   run the SQL sections and save their results as JSON
+  build     turn the JSON files into Excel workbooks (or --format)
+  run       extract, then build
+  diff      compare two extracts (snapshots) section by section
+
+Options:
+  --queries <files|dirs>        query files, or directories of .sql files
+                                (default: ${DEFAULTS.queryFiles.join(",")})
+  --input <dir>                 JSON directory (default: ${DEFAULTS.inputDir})
+  --output <dir>                workbook directory (default: ${DEFAULTS.outputDir})
+  --from <date> --to <date>     reporting period (YYYY-MM-DD)
+  --year <yyyy> [--quarter <q>] reporting period as a year or quarter
+  --units <ids|names>           only these units (comma separated)
+  --exclude-units <ids|names>   skip these units
+  --sections <titles>           only sections whose title contains one of these
+  --dry-run                     show what would run / be written, change nothing
+  --source <name>               extract from: mysql, fixtures, sqlite
+                                (default: ${DEFAULTS.source})
+  --fixtures <dir>              files for --source fixtures, laid out like
+                                the input directory
+  --sqlite <file>               database for --source sqlite (default: an
+                                in-memory copy seeded from fixtures/sqlite)
+  --format <list>               build outputs: xlsx, csv, ndjson, html
+                                (default: ${DEFAULTS.formats.join(",")})
+  --charts                      add a chart next to each COMPARATIVA block
+  --deltas                      add month over month change tables, and year
+                                over year ones when last year's data exists
+  --previous-year               extract: also run the same period a year
+                                earlier, into <input>/${PREVIOUS_INPUT_DIR}
+  --previous-input <dir>        last year's data for --deltas
+                                (default: <input>/${PREVIOUS_INPUT_DIR})
+  --snapshots <dir>             extract history (default: <input>/${SNAPSHOTS_DIR})
+  --old <snapshot> --new <snapshot>
+                                diff: snapshots (names or folders) to compare
+                                (default: the last two)
+  --changes                     build: add a "Cambios" sheet with what changed
+                                since the previous snapshot (or --old)
+  --by-department <mode>        build: split the "-- @drilldown" reports by
+                                department, as sheets of the unit workbook
+                                or as workbooks of their own (sheets,
+                                workbooks)
+  --compliance-threshold <pct>  red/green limit for Porcentaje_Cumplimiento
+                                (default: ${DEFAULT_COMPLIANCE_THRESHOLD})
+  --report <file>               run report (default: <input>/${REPORT_FILE})
+  --strict                      exit 2 on empty results too; "run" does not
+                                build after a failed extract
+  --concurrency <n>             queries run at once (default: ${DEFAULTS.concurrency})
+  --query-timeout <seconds>     abandon a query after this, 0 for no limit
+                                (default: ${DEFAULTS.queryTimeout})
+  --retries <n>                 retries after a lost connection or deadlock
+                                (default: ${DEFAULTS.retries})`;
+
+const COMMANDS = {
+  extract: ["extract"],
+  build: ["build"],
+  run: ["extract", "build"],
+  diff: ["diff"],
+};
+
+const STEPS = { extract, build, diff };
+
+async function main() {
+  const [command, ...argv] = process.argv.slice(2);
+
+  if (command === "--help" || command === "-h" || command === "help") {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) {
+    if (command) console.error(`Unknown command '${command}'`);
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  let options;
+  try {
+    options = parseOptions(argv);
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const report = createRunReport(command);
+  try {
+    const steps = COMMANDS[command];
+    for (const [index, step] of steps.entries()) {
+      await STEPS[step](options, report);
+      const isLast = index === steps.length - 1;
+      if (!isLast && options.strict && reportFailures(report, options).length > 0) {
+        console.error(`Stopping after ${step}: it had failures (--strict).`);
+        break;
+      }
+    }
+  } catch (err) {
+    console.error("Fatal error:", err);
+    report.fatal = err.message;
+  }
+  process.exitCode = finishRunReport(report, options);
+}
+
+main();
@@ -0,0 +1,87 @@
+const path = require("path");
+const { parseOptions } = require("./lib/options");
+const { loadQueryFiles } = require("./lib/queryFile");
+const { loadReportConfig, applyReportConfig } = require("./lib/reportConfig");
+const { listSnapshots, resolveSnapshot } = require("./lib/snapshots");
+const { diffDirectories, countChanges, formatFileDiff } = require("./lib/diff");
+const {
+  createRunReport,
+  addEntry,
+  finishRunReport,
+} = require("./lib/runReport");
+
+// The two extracts to compare: --old / --new (snapshot names or folders),
+// by default the last two complete snapshots (see lib/snapshots.js)
+function resolvePair(options) {
+  const snapshots = listSnapshots(options.snapshotsDir, { completeOnly: true });
+  const latest = (offset) => {
+    const name = snapshots[snapshots.length - 1 - offset];
+    return name ? path.join(options.snapshotsDir, name) : null;
+  };
+
+  const newDir = options.newSnapshot
+    ? resolveSnapshot(options.snapshotsDir, options.newSnapshot)
+    : latest(0);
+  const oldDir = options.oldSnapshot
+    ? resolveSnapshot(options.snapshotsDir, options.oldSnapshot)
+    : latest(options.newSnapshot ? 0 : 1);
+  if (!oldDir || !newDir) {
+    throw new Error(
+      `Need two snapshots to compare; ${options.snapshotsDir} has ${snapshots.length} complete (use --old / --new)`
+    );
+  }
+  return { oldDir, newDir };
+}
+
+// Compares two extracts section by section and prints the added, removed
+// and changed rows. Each file becomes a run report entry whose row count is
+// its number of differences.
+async function diff(options, report = createRunReport("diff")) {
+  const { oldDir, newDir } = resolvePair(options);
+  const sections = loadQueryFiles(options.queryFiles, { missingOk: true });
+  // Key columns may also come from config/reports.json
+  applyReportConfig(sections, loadReportConfig());
+  console.log(`Comparing ${oldDir} -> ${newDir}`);
+
+  const results = await diffDirectories(oldDir, newDir, sections);
+  for (const result of results) {
+    console.log(formatFileDiff(result));
+    const folder = path.dirname(result.file);
+    addEntry(report, {
+      stage: "diff",
+      section: result.section,
+      // Unit files live in the unit's folder
+      unit: folder === "." ? null : folder,
+      file: result.file,
+      rows: countChanges(result),
+    });
+  }
+
+  const total = results.reduce((sum, r) => sum + countChanges(r), 0);
+  console.log(`${total} difference(s) in ${results.length} file(s).`);
+  return report;
+}
+
+// Same as `node cli.js diff` (see finishRunReport for the exit codes)
+async function main() {
+  let options;
+  const report = createRunReport("diff");
+  try {
+    options = parseOptions(process.argv.slice(2));
+    await diff(options, report);
+  } catch (err) {
+    console.error("Fatal error:", err);
+    if (!options) {
+      process.exitCode = 1;
+      return;
+    }
+    report.fatal = err.message;
+  }
+  process.exitCode = finishRunReport(report, options);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { diff };
@@ -0,0 +1,84 @@
+-- Tablas de la base de producción que usan Consultas.txt y
+-- Consultas_Anuales.txt, reducidas a las columnas que leen las consultas.
+-- Base embebida del modo sin MySQL (--source sqlite, ver lib/sqliteSource.js).
+-- Fechas como texto 'YYYY-MM-DD HH:MM:SS' y tiempos como 'HH:MM:SS', igual
+-- que los DATETIME / TIME de MySQL al compararlos.
+
+CREATE TABLE unidad (
+    idUnidad INTEGER PRIMARY KEY,
+    nombreUnidad TEXT NOT NULL
+);
+
+CREATE TABLE areas (
+    idAreas INTEGER PRIMARY KEY,
+    nombreArea TEXT NOT NULL,
+    unidad_idUnidad INTEGER NOT NULL REFERENCES unidad (idUnidad)
+);
+
+CREATE TABLE habitacionlugar (
+    idHL INTEGER PRIMARY KEY,
+    nombreHL TEXT NOT NULL,
+    areas_idAreas INTEGER NOT NULL REFERENCES areas (idAreas)
+);
+
+CREATE TABLE departamentos (
+    id_departamento INTEGER PRIMARY KEY,
+    nombre_departamento TEXT NOT NULL
+);
+
+CREATE TABLE departamentoticket (
+    idDepartamentoTicket INTEGER PRIMARY KEY,
+    departamento_idDepartamento INTEGER NOT NULL REFERENCES departamentos (id_departamento)
+);
+
+-- tiempoEtiqueta: tiempo estimado en minutos
+CREATE TABLE etiqueta (
+    idEtiqueta INTEGER PRIMARY KEY,
+    nombreEtiqueta TEXT NOT NULL,
+    tiempoEtiqueta INTEGER NOT NULL,
+    departamentoTicket_idDepartamento INTEGER NOT NULL
+        REFERENCES departamentoticket (idDepartamentoTicket)
+);
+
+CREATE TABLE moduloticket (
+    idTicket INTEGER PRIMARY KEY,
+    fCreacionTicket TEXT NOT NULL,
+    estatusTicket TEXT NOT NULL,
+    tiempoProduccionTicket TEXT,
+    habitacionLugar_idHL INTEGER NOT NULL REFERENCES habitacionlugar (idHL),
+    etiqueta_idEtiqueta INTEGER NOT NULL REFERENCES etiqueta (idEtiqueta)
+);
+
+CREATE TABLE moduloglitch (
+    idGlitch INTEGER PRIMARY KEY,
+    fcreacionGlitch TEXT NOT NULL,
+    estatusGlitch TEXT NOT NULL,
+    habitacionLugar_idHL INTEGER NOT NULL REFERENCES habitacionlugar (idHL)
+);
+
+CREATE TABLE modulomantenimiento (
+    idMantenimiento INTEGER PRIMARY KEY,
+    fCreacionMantenimiento TEXT NOT NULL,
+    estatusMantenimiento TEXT NOT NULL,
+    habitacionLugar_idHL INTEGER NOT NULL REFERENCES habitacionlugar (idHL)
+);
+
+CREATE TABLE moduloti (
+    idTi INTEGER PRIMARY KEY,
+    fCreacionTi TEXT NOT NULL,
+    estatusTi TEXT NOT NULL,
+    habitacionLugar_idHL INTEGER NOT NULL REFERENCES habitacionlugar (idHL)
+);
+
+CREATE TABLE modulolostandfound (
+    idLyf INTEGER PRIMARY KEY,
+    fEntradaObjetoLyf TEXT NOT NULL,
+    estatusLyf TEXT NOT NULL,
+    habitacionLugar_idHL INTEGER NOT NULL REFERENCES habitacionlugar (idHL)
+);
+
+CREATE INDEX idx_moduloticket_fecha ON moduloticket (fCreacionTicket);
+CREATE INDEX idx_moduloglitch_fecha ON moduloglitch (fcreacionGlitch);
+CREATE INDEX idx_modulomantenimiento_fecha ON modulomantenimiento (fCreacionMantenimiento);
+CREATE INDEX idx_moduloti_fecha ON moduloti (fCreacionTi);
+CREATE INDEX idx_modulolostandfound_fecha ON modulolostandfound (fEntradaObjetoLyf);
@@ -0,0 +1,121 @@
+-- Datos de prueba deterministas para schema.sql: tres unidades, 2024 y 2025
+-- completos. Las filas se generan con CTE recursivas y aritmética modular,
+-- así cada ejecución produce exactamente los mismos resultados.
+
+INSERT INTO unidad (idUnidad, nombreUnidad) VALUES
+    (1, 'Palacio Mundo Imperial'),
+    (2, 'Princess Mundo Imperial'),
+    (3, 'Pierre Mundo Imperial');
+
+-- Dos áreas por unidad: 1-2 Palacio, 3-4 Princess, 5-6 Pierre
+INSERT INTO areas (idAreas, nombreArea, unidad_idUnidad) VALUES
+    (1, 'Torre', 1), (2, 'Áreas comunes', 1),
+    (3, 'Torre', 2), (4, 'Áreas comunes', 2),
+    (5, 'Torre', 3), (6, 'Áreas comunes', 3);
+
+-- 40 lugares por unidad: 20 habitaciones nombradas como en producción
+-- ("2301 Torre 2": torre, piso y número), 5 pisos de 4 torres, y 20 lugares
+-- en áreas comunes
+WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 120)
+INSERT INTO habitacionlugar (idHL, nombreHL, areas_idAreas)
+SELECT
+    i,
+    CASE WHEN i % 2 = 1
+        THEN ((((i - 1) % 40 / 2) % 4 + 1) * 1000 + ((i - 1) % 40 / 2 / 4 + 1) * 100 + 1)
+            || ' Torre ' || (((i - 1) % 40 / 2) % 4 + 1)
+        ELSE 'Lugar ' || ((i - 1) % 40 + 1)
+    END,
+    ((i - 1) / 40) * 2 + CASE WHEN i % 2 = 1 THEN 1 ELSE 2 END
+FROM n;
+
+INSERT INTO departamentos (id_departamento, nombre_departamento) VALUES
+    (1, 'Ama de Llaves'),
+    (2, 'Mantenimiento'),
+    (3, 'Prevención de Riesgos'),
+    (4, 'Tecnología'),
+    (5, 'Bell Boys / Valet Parking');
+
+INSERT INTO departamentoticket (idDepartamentoTicket, departamento_idDepartamento) VALUES
+    (1, 1), (2, 2), (3, 3), (4, 4), (5, 5);
+
+INSERT INTO etiqueta (idEtiqueta, nombreEtiqueta, tiempoEtiqueta, departamentoTicket_idDepartamento) VALUES
+    (1, 'Toalla de baño Extra', 15, 1),
+    (2, 'Aseo en habitación', 45, 1),
+    (3, 'Colocar frigobar', 20, 1),
+    (4, 'Aire acondicionado - No enfria', 60, 2),
+    (5, 'No hay agua caliente', 40, 2),
+    (6, 'WC tapado', 30, 2),
+    (7, 'Valores en habitación', 20, 3),
+    (8, 'Apertura caja seguridad', 10, 3),
+    (9, 'TV sin señal', 25, 4),
+    (10, 'Wifi sin conexión', 20, 4),
+    (11, 'Bajar Equipaje', 10, 5),
+    (12, 'Subir Equipaje', 10, 5);
+
+-- Fechas: día (i * 37) mod 731 desde 2024-01-01 y una hora del día; el 10 %
+-- de los tickets sigue abierto y algunas habitaciones reciben más tickets
+WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 12000)
+INSERT INTO moduloticket (
+    idTicket, fCreacionTicket, estatusTicket, tiempoProduccionTicket,
+    habitacionLugar_idHL, etiqueta_idEtiqueta
+)
+SELECT
+    i,
+    datetime('2024-01-01', '+' || ((i * 37) % 731) || ' days', '+' || ((i * 7919) % 86400) || ' seconds'),
+    CASE WHEN i % 10 = 0 THEN 'Abierto' ELSE 'Cerrado' END,
+    time(300 + (i * 1237) % 7200, 'unixepoch'),
+    CASE WHEN i % 7 = 0 THEN ((i / 7) % 30) * 4 + 1 ELSE (i * 13) % 120 + 1 END,
+    (i * 5) % 12 + 1
+FROM n;
+
+WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 2500)
+INSERT INTO moduloglitch (idGlitch, fcreacionGlitch, estatusGlitch, habitacionLugar_idHL)
+SELECT
+    i,
+    datetime('2024-01-01', '+' || ((i * 41) % 731) || ' days', '+' || ((i * 6007) % 86400) || ' seconds'),
+    CASE WHEN i % 4 = 0 THEN 'Pendiente' ELSE 'Completado' END,
+    (i * 17) % 120 + 1
+FROM n;
+
+WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 3000)
+INSERT INTO modulomantenimiento (idMantenimiento, fCreacionMantenimiento, estatusMantenimiento, habitacionLugar_idHL)
+SELECT
+    i,
+    datetime('2024-01-01', '+' || ((i * 59) % 731) || ' days', '+' || ((i * 4001) % 86400) || ' seconds'),
+    CASE i % 5
+        WHEN 0 THEN 'Pendiente'
+        WHEN 1 THEN 'En progreso'
+        WHEN 2 THEN 'Retrasado'
+        WHEN 3 THEN 'Completado'
+        ELSE 'Cerrado'
+    END,
+    (i * 19) % 120 + 1
+FROM n;
+
+WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 1500)
+INSERT INTO moduloti (idTi, fCreacionTi, estatusTi, habitacionLugar_idHL)
+SELECT
+    i,
+    datetime('2024-01-01', '+' || ((i * 47) % 731) || ' days', '+' || ((i * 3001) % 86400) || ' seconds'),
+    CASE i % 5
+        WHEN 0 THEN 'Pendiente'
+        WHEN 1 THEN 'En progreso'
+        WHEN 2 THEN 'Retrasado'
+        WHEN 3 THEN 'Completado'
+        ELSE 'Cerrado'
+    END,
+    (i * 23) % 120 + 1
+FROM n;
+
+WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 1200)
+INSERT INTO modulolostandfound (idLyf, fEntradaObjetoLyf, estatusLyf, habitacionLugar_idHL)
+SELECT
+    i,
+    datetime('2024-01-01', '+' || ((i * 53) % 731) || ' days', '+' || ((i * 2003) % 86400) || ' seconds'),
+    CASE i % 3
+        WHEN 0 THEN 'Pendiente'
+        WHEN 1 THEN 'Vencido'
+        ELSE 'Completado'
+    END,
+    (i * 29) % 120 + 1
+FROM n;
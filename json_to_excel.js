@@ -1,226 +1,279 @@
 const fs = require("fs");
 const path = require("path");
-const XLSX = require("xlsx");
-
-const inputDir = "Input";
-const outputDir = "Output";
-
-const MAX_SHEET_NAME_LENGTH = 31;
+const {
+  createPeriod,
+  parseMonthLabel,
+  monthLabels,
+  accumulatedLabel,
+} = require("./lib/period");
+const { MANIFEST_FILE, readManifest } = require("./lib/manifest");
+const { parseDuration, formatDuration } = require("./lib/duration");
+const { loadUnitsConfig, sortUnitNames } = require("./lib/units");
+const {
+  loadQueryFiles,
+  findSectionForFile,
+  filterSections,
+  safeName,
+} = require("./lib/queryFile");
+const {
+  parseColumnSpec,
+  specColumns,
+  aggregateColumn,
+  unaggregatedColumns,
+} = require("./lib/aggregators");
+const { typedValue } = require("./lib/cells");
+const { OUTPUT_FORMATS } = require("./lib/outputFormats");
+const {
+  ROW_FILE_EXTENSIONS,
+  rowFileFormat,
+  stripRowFileExtension,
+  readRows,
+} = require("./lib/rowFiles");
+const { parseOptions } = require("./lib/options");
+const {
+  createRunReport,
+  addEntry,
+  finishRunReport,
+} = require("./lib/runReport");
+const { SUMMARY_SHEET_NAME, buildSummaryLayout } = require("./lib/summary");
+const { buildDeltaBlocks } = require("./lib/deltas");
+const { resolveSnapshot, previousSnapshot } = require("./lib/snapshots");
+const { diffDirectories } = require("./lib/diff");
+const { CHANGES_SHEET_NAME, buildChangesLayout } = require("./lib/changes");
+const { buildHotspotLayout } = require("./lib/hotspots");
+const { buildDepartmentLayouts } = require("./lib/departments");
+const {
+  VALIDATION_SHEET_NAME,
+  reconcileTotals,
+  discrepancies,
+  buildValidationLayout,
+} = require("./lib/reconcile");
+const {
+  DEFAULT_CONFIG_FILE: REPORT_CONFIG_FILE,
+  DEFAULT_CONFIG: DEFAULT_REPORT_CONFIG,
+  loadReportConfig,
+  applyReportConfig,
+  zeroValue,
+  validateReportData,
+  reportColumnKinds,
+} = require("./lib/reportConfig");
+
+// Rows of a streamed (NDJSON) file looked at to decide its column kinds
+const KIND_SAMPLE_ROWS = 1000;
 
 // --- Helpers ---
 
-function cleanSheetName(name) {
-  let clean = name.replace(/\.json$/i, "");
+// `maxLength` is the "sheetNameLength" of config/reports.json
+function cleanSheetName(name, maxLength = DEFAULT_REPORT_CONFIG.sheetNameLength) {
+  let clean = stripRowFileExtension(name);
   clean = clean.replace(/[:\\/?*\[\]]/g, "_");
-  if (clean.length > MAX_SHEET_NAME_LENGTH) {
-    clean = clean.substring(0, MAX_SHEET_NAME_LENGTH);
+  if (clean.length > maxLength) {
+    clean = clean.substring(0, maxLength);
   }
   return clean;
 }
 
-// Parse "HH:MM:SS" or "HHHH:MM:SS" to seconds
-function parseDuration(durationStr) {
-  if (!durationStr || typeof durationStr !== "string") return 0;
-  // Handle cases like "2966:35:53" or "01:33:11.493717"
-  // Remove potential milliseconds for simple summing or keep them?
-  // Usually H:M:S is good enough.
-  const parts = durationStr.split(":");
-  if (parts.length < 2) return 0;
+// `name` cleaned, with "_1", "_2"... when the workbook already has it
+function uniqueSheetName(name, usedNames, maxLength) {
+  const sheetName = cleanSheetName(name, maxLength);
+  let finalSheetName = sheetName;
+  let counter = 1;
+  while (usedNames.has(finalSheetName)) {
+    finalSheetName = `${sheetName.substring(0, maxLength - 3)}_${counter}`;
+    counter++;
+  }
+  usedNames.add(finalSheetName);
+  return finalSheetName;
+}
 
-  const hours = parseInt(parts[0], 10) || 0;
-  const minutes = parseInt(parts[1], 10) || 0;
-  const seconds = parseFloat(parts[2]) || 0;
+// --- Aggregation Logic ---
 
-  return hours * 3600 + minutes * 60 + seconds;
+const TICKETS_TIME_COLUMNS = [
+  "Cantidad_Tickets=sum",
+  "Total_Tiempo_Productivo=duration_sum",
+  // Total Prod Time / Count Tickets
+  "Promedio_Tiempo_Productivo=ratio(Total_Tiempo_Productivo, Cantidad_Tickets)",
+  // We don't have Total Estimated, only Avg Estimated per month, so weight it
+  "Promedio_Tiempo_Estimado=weighted_avg(Cantidad_Tickets)",
+  // (Total Est / Total Prod) * 100, Total Est ~= Sum(Avg_Est * Ticket_Count)
+  "Porcentaje_Cumplimiento=ratio(Promedio_Tiempo_Estimado*Cantidad_Tickets, Total_Tiempo_Productivo, 100)",
+].join(", ");
+
+// Column aggregators a section gets with "-- @aggregate: <name>". Its own
+// "-- @columns" entries are applied on top. `null` disables accumulation.
+const AGGREGATE_PRESETS = {
+  counts: {},
+  glitches: {},
+  tickets_time: parseColumnSpec(TICKETS_TIME_COLUMNS),
+  none: null,
+};
+
+// Sheets a section can ask for with "-- @layout: <name>" instead of its rows
+// with "Acumulado" and COMPARATIVA blocks. Each gets the rows, the section
+// metadata and the build context, and returns { rows, pivotBlocks }.
+const SHEET_LAYOUTS = {
+  hotspots: (data, meta) => buildHotspotLayout(data, meta),
+};
+
+// Row and column keys of the COMPARATIVA tables, unless a report declares
+// its own with "-- @pivotBy" (e.g. the unit trends, months by department)
+const DEFAULT_PIVOT_BY = ["Mes_Anio", "Nombre_Unidad"];
+
+function pivotKeys(meta = {}) {
+  const [rowKey, columnKey] = meta.pivotBy || DEFAULT_PIVOT_BY;
+  return { rowKey, columnKey };
 }
 
-// Format seconds to "HH:MM:SS" (floor seconds)
-function formatDuration(totalSeconds) {
-  const hours = Math.floor(totalSeconds / 3600);
-  const remainder = totalSeconds % 3600;
-  const minutes = Math.floor(remainder / 60);
-  const seconds = Math.floor(remainder % 60);
-
-  return `${hours}:${minutes.toString().padStart(2, "0")}:${seconds
-    .toString()
-    .padStart(2, "0")}`;
+// Months are filled in and pivoted only for rows that have both keys
+function hasPivotKeys(data, meta = {}) {
+  const { rowKey, columnKey } = pivotKeys(meta);
+  return (
+    Array.isArray(data) &&
+    data.length > 0 &&
+    data[0].hasOwnProperty(rowKey) &&
+    data[0].hasOwnProperty(columnKey)
+  );
 }
 
-// --- Aggregation Logic ---
+// Row key values in order: the reporting period's months for Mes_Anio
+// (others last), the order of the query otherwise
+function pivotRowValues(data, rowKey, periodMonths) {
+  const values = [...new Set(data.map((r) => r[rowKey]))];
+  if (rowKey !== "Mes_Anio") return values;
+  const monthIndex = {};
+  periodMonths.forEach((m, i) => (monthIndex[m] = i));
+  return values.sort((a, b) => {
+    const ia = monthIndex[a] !== undefined ? monthIndex[a] : 999;
+    const ib = monthIndex[b] !== undefined ? monthIndex[b] : 999;
+    return ia - ib;
+  });
+}
 
-function aggregateData(filename, data) {
-  if (!Array.isArray(data) || data.length === 0) return [];
+// Column key values in display order: units in the configured unit order
+// (see resolveUnits), anything else alphabetically
+function pivotColumnValues(data, columnKey, unitOrder) {
+  return sortColumnValues([...new Set(data.map((r) => r[columnKey]))], columnKey, unitOrder);
+}
 
-  // Identify file type to apply specific rules
-  const name = filename.replace(/\.json$/i, "").toUpperCase();
-  console.log(`Aggregating for: ${name}`);
+function sortColumnValues(values, columnKey, unitOrder) {
+  if (columnKey === "Nombre_Unidad") return sortUnits(values, unitOrder);
+  return values.sort((a, b) => String(a).localeCompare(String(b), "es"));
+}
 
-  // Group by 'Nombre_Unidad'
-  const groups = {};
-  for (const row of data) {
-    // Use 'Nombre_Unidad' or fallback to 'General' if not present (though prompt says by unit)
-    // Some files might use 'Departamento' instead of Unit if it's the department report?
-    // User asked: "un acamulado del anio por unidad".
-    // Checks columns.
-    const unit = row["Nombre_Unidad"] || "N/A";
-    if (!groups[unit]) {
-      groups[unit] = { rows: [], count: 0 };
-    }
-    groups[unit].rows.push(row);
-    groups[unit].count++;
+// Column aggregators for a report: its @aggregate preset (only the entries
+// whose columns exist in the data) plus its own @columns. Returns null when
+// accumulation is disabled with "@aggregate: none".
+function resolveColumnSpec(meta, keys) {
+  const presetName = meta.aggregate || "counts";
+  if (!Object.prototype.hasOwnProperty.call(AGGREGATE_PRESETS, presetName)) {
+    throw new Error(
+      `Unknown @aggregate '${presetName}' (expected one of ${Object.keys(
+        AGGREGATE_PRESETS
+      ).join(", ")})`
+    );
   }
-
-  const aggregatedRows = [];
-
-  for (const [unit, groupData] of Object.entries(groups)) {
-    if (unit === "N/A") continue; // Skip if no unit found (or handle differently)
-
-    const summaryRow = {
-      Mes_Anio: "Acumulado 2025",
-      Nombre_Unidad: unit,
-    };
-
-    // Rule-based aggregation
-    // STRICTER ORDERING: Check specific suffixes first!
-    if (
-      name.includes("MANTENIMIENTO") ||
-      name.includes("TECNOLOGIA") ||
-      name.includes("LOST_AND_FOUND")
-    ) {
-      processGenericCounts(summaryRow, groupData.rows);
-    } else if (name.includes("GLITCHES")) {
-      processGlitches(summaryRow, groupData.rows);
-    } else if (
-      name === "TICKETS_GENERAL" ||
-      name === "DATOS_GENERALES_UNIDAD_DEPARTAMENTO" ||
-      name.startsWith("DATOS_GENERALES")
-    ) {
-      // Only for the specific time-tracking files
-      processTicketsGeneral(summaryRow, groupData.rows);
-    } else if (name === "ETIQUETAS_UNIDAD_DEPARTAMENTO") {
-      // This one has 'tiempo_promedio_productivo' but might structure differently.
-      // Let's use generic or specific if needed. Generic might try to sum averages which is wrong.
-      // For now, let's treat as generic but be careful.
-      processGenericCounts(summaryRow, groupData.rows);
-    } else {
-      // Fallback: try to sum obvious columns
-      processGenericCounts(summaryRow, groupData.rows);
+  const preset = AGGREGATE_PRESETS[presetName];
+  if (!preset) return null;
+
+  // Declared columns must exist; preset columns only apply when present
+  const declared = meta.columns || {};
+  const missing = specColumns(declared).filter((c) => !keys.includes(c));
+  if (missing.length > 0) {
+    throw new Error(`@columns refers to missing column(s): ${missing.join(", ")}`);
+  }
+  const spec = {};
+  for (const [column, entry] of Object.entries(preset)) {
+    if (specColumns({ [column]: entry }).every((c) => keys.includes(c))) {
+      spec[column] = entry;
     }
-
-    aggregatedRows.push(summaryRow);
   }
-
-  return aggregatedRows;
+  return Object.assign(spec, declared);
 }
 
-function processGenericCounts(summaryRow, rows) {
-  // Sum all columns starting with 'Cantidad' or 'Total'
-  // Copy arbitrary keys from first row just to see structure
-  const keys = Object.keys(rows[0]);
+// `meta` is the section metadata ("-- @aggregate", "-- @columns").
+// Rows are accumulated per value of the pivot column key (Nombre_Unidad,
+// or the one of "-- @pivotBy"); reports without that column (most per unit
+// ones) are accumulated into a single row. The rows come in the order of
+// the COMPARATIVA columns (`unitOrder` for units, see pivotColumnValues).
+function aggregateData(filename, data, period, meta = {}, unitOrder = []) {
+  if (!Array.isArray(data) || data.length === 0) return [];
 
-  for (const key of keys) {
-    if (key === "Mes_Anio" || key === "Nombre_Unidad") continue;
+  const name = stripRowFileExtension(filename).toUpperCase();
+  const presetName = meta.aggregate || "counts";
+  const keys = Object.keys(data[0]);
+  const spec = resolveColumnSpec(meta, keys);
+  if (!spec) return [];
+  console.log(`Aggregating for: ${name} (${presetName})`);
 
-    // Check if value is numeric-ish
-    const isNumeric = rows.every((r) => !isNaN(Number(r[key])));
+  const { rowKey, columnKey } = pivotKeys(meta);
+  const byUnit = keys.includes(columnKey);
+  const label = accumulatedLabel(period);
 
-    if (isNumeric) {
-      const sum = rows.reduce((acc, r) => acc + (Number(r[key]) || 0), 0);
-      summaryRow[key] = sum;
-    } else {
-      summaryRow[key] = ""; // Leave text columns empty
+  // Group by the column key ('Nombre_Unidad')
+  const groups = {};
+  for (const row of data) {
+    const unit = byUnit ? row[columnKey] || "N/A" : "";
+    if (!groups[unit]) {
+      groups[unit] = [];
     }
+    groups[unit].push(row);
   }
-}
-
-function processGlitches(summaryRow, rows) {
-  // Similar to generic but ensure specific fields
-  processGenericCounts(summaryRow, rows);
-}
 
-function processTicketsGeneral(summaryRow, rows) {
-  // Cantidad_Tickets: Sum
-  summaryRow["Cantidad_Tickets"] = rows.reduce(
-    (acc, r) => acc + (Number(r["Cantidad_Tickets"]) || 0),
-    0
+  // Averages and percentages without an aggregator are not summed
+  const blank = unaggregatedColumns(
+    data,
+    keys.filter((k) => k !== rowKey && k !== columnKey),
+    spec
   );
+  if (blank.length > 0) {
+    console.warn(
+      `  ! ${name}: no aggregator for ${blank.join(", ")}; left empty in "Acumulado" (declare one with -- @columns)`
+    );
+  }
 
-  // Total_Tiempo_Productivo: Time Sum
-  const totalTimeProdSec = rows.reduce((acc, r) => {
-    const val = r["Total_Tiempo_Productivo"];
-    const sec = parseDuration(val);
-    // console.log(`    Time val: ${val} -> ${sec}s`);
-    return acc + sec;
-  }, 0);
-
-  summaryRow["Total_Tiempo_Productivo"] = formatDuration(totalTimeProdSec);
+  const aggregatedRows = [];
 
-  // Promedio_Tiempo_Productivo: Calc (Total Prod Time / Count Tickets)
-  if (summaryRow["Cantidad_Tickets"] > 0) {
-    const avgProdSec = totalTimeProdSec / summaryRow["Cantidad_Tickets"];
-    summaryRow["Promedio_Tiempo_Productivo"] = formatDuration(avgProdSec);
-  } else {
-    summaryRow["Promedio_Tiempo_Productivo"] = "0:00:00";
-  }
+  for (const unit of sortColumnValues(Object.keys(groups), columnKey, unitOrder)) {
+    if (unit === "N/A") continue; // Skip if no unit found (or handle differently)
+    const rows = groups[unit];
 
-  // Promedio_Tiempo_Estimado: Weighted Average
-  // We don't have Total Estimated. We have Avg Estimated.
-  // Total Estimated ~= Sum(Avg_Est * Ticket_Count)
-  let totalEstSec = 0;
-  for (const r of rows) {
-    const estSec = parseDuration(r["Promedio_Tiempo_Estimado"]);
-    const count = Number(r["Cantidad_Tickets"]) || 0;
-    totalEstSec += estSec * count;
-  }
+    const summaryRow = {};
+    if (keys.includes(rowKey)) summaryRow[rowKey] = label;
+    if (byUnit) summaryRow[columnKey] = unit;
 
-  if (summaryRow["Cantidad_Tickets"] > 0) {
-    const avgEstSec = totalEstSec / summaryRow["Cantidad_Tickets"];
-    summaryRow["Promedio_Tiempo_Estimado"] = formatDuration(avgEstSec);
+    for (const key of keys) {
+      if (key === rowKey || key === columnKey) continue;
+      summaryRow[key] = aggregateColumn(rows, key, spec);
+    }
 
-    // Porcentaje_Cumplimiento: (Avg Est / Avg Prod) * 100
-    // Or (Total Est / Total Prod) * 100
-    if (totalTimeProdSec > 0) {
-      const pct = (totalEstSec / totalTimeProdSec) * 100;
-      summaryRow["Porcentaje_Cumplimiento"] = pct.toFixed(2);
-    } else {
-      summaryRow["Porcentaje_Cumplimiento"] = "0.00";
+    // Without a month column the label goes in the first (key) column
+    if (!keys.includes(rowKey) && !spec[keys[0]]) {
+      summaryRow[keys[0]] = label;
     }
-  } else {
-    summaryRow["Promedio_Tiempo_Estimado"] = "0:00:00";
-    summaryRow["Porcentaje_Cumplimiento"] = "0.00";
+
+    aggregatedRows.push(summaryRow);
   }
+
+  return aggregatedRows;
 }
 
 // --- Data Filling Logic ---
 
-const MONTHS_2025 = [
-  "Enero 2025",
-  "Febrero 2025",
-  "Marzo 2025",
-  "Abril 2025",
-  "Mayo 2025",
-  "Junio 2025",
-  "Julio 2025",
-  "Agosto 2025",
-  "Septiembre 2025",
-  "Octubre 2025",
-  "Noviembre 2025",
-  "Diciembre 2025",
-];
-
-function fillMissingMonths(data) {
-  if (!Array.isArray(data) || data.length === 0) return data;
-
-  // Check if data has 'Mes_Anio' and 'Nombre_Unidad'
-  if (
-    !data[0].hasOwnProperty("Mes_Anio") ||
-    !data[0].hasOwnProperty("Nombre_Unidad")
-  ) {
-    return data;
-  }
+// `months` is the ordered list of "Mes Año" labels for the reporting period
+// (see monthLabels in lib/period.js). The values of the added rows come
+// from the report's "zeroFill" and column types, else the default rules of
+// config/reports.json (see zeroValue in lib/reportConfig.js). Rows are
+// filled per value of the pivot column key ("-- @pivotBy"); with a row key
+// other than Mes_Anio, every column value gets the row values any of them
+// has.
+function fillMissingMonths(data, months, meta = {}, config = DEFAULT_REPORT_CONFIG) {
+  // Check if data has the keys ('Mes_Anio' and 'Nombre_Unidad')
+  if (!hasPivotKeys(data, meta)) return data;
+  const { rowKey, columnKey } = pivotKeys(meta);
+  const rowValues = rowKey === "Mes_Anio" ? months : pivotRowValues(data, rowKey, months);
 
   // Get all unique units
-  const units = [...new Set(data.map((r) => r.Nombre_Unidad))];
+  const units = [...new Set(data.map((r) => r[columnKey]))];
   const filledData = [];
 
   // Template for zero values based on first row
@@ -228,32 +281,22 @@ function fillMissingMonths(data) {
 
   for (const unit of units) {
     // Filter rows for this unit
-    const unitRows = data.filter((r) => r.Nombre_Unidad === unit);
-    const unitMonths = new Set(unitRows.map((r) => r.Mes_Anio));
+    const unitRows = data.filter((r) => r[columnKey] === unit);
+    const unitMonths = new Set(unitRows.map((r) => r[rowKey]));
 
-    for (const month of MONTHS_2025) {
+    for (const month of rowValues) {
       if (unitMonths.has(month)) {
         // Add existing row(s) -- simplified assumption: one row per month per unit
         // If duplicates (unlikely for these queries), we take them.
-        const existing = unitRows.find((r) => r.Mes_Anio === month);
+        const existing = unitRows.find((r) => r[rowKey] === month);
         if (existing) filledData.push(existing);
       } else {
         // Create zero row
         const zeroRow = {};
         for (const key of keys) {
-          if (key === "Mes_Anio") zeroRow[key] = month;
-          else if (key === "Nombre_Unidad") zeroRow[key] = unit;
-          else if (
-            key.startsWith("Cantidad") ||
-            key.startsWith("Total_Tickets") ||
-            key === "insertId" ||
-            key === "affectedRows"
-          )
-            zeroRow[key] = 0;
-          else if (key.includes("Tiempo")) zeroRow[key] = "00:00:00";
-          // formatting matters? '0:00:00' or '00:00:00'. Script uses '0:00:00' usually.
-          else if (key.includes("Porcentaje")) zeroRow[key] = "0.00";
-          else zeroRow[key] = 0; // default numeric
+          if (key === rowKey) zeroRow[key] = month;
+          else if (key === columnKey) zeroRow[key] = unit;
+          else zeroRow[key] = zeroValue(key, meta, config);
         }
         filledData.push(zeroRow);
       }
@@ -264,7 +307,7 @@ function fillMissingMonths(data) {
   // The current loop structure pushes in Month order (Enero -> Dic) for each Unit.
   // But we might want to group by Unit?
   // The loop `for (const unit of units)` effectively groups by Unit.
-  // Inside, it goes `for (const month of MONTHS_2025)`, so it sorts by Month.
+  // Inside, it goes `for (const month of months)`, so it sorts by Month.
   // Result: Unit A (Jan-Dec), Unit B (Jan-Dec).
   // The original SQL was ORDER BY Year, Month, Unit. -> Jan (Unit A, Unit B), Feb (Unit A, Unit B).
   // User screenshot shows grouped by Month? No, screenshot shows "Febrero... Palacio", "Marzo... Palacio".
@@ -289,14 +332,14 @@ function fillMissingMonths(data) {
   // Let's try to restore the Month-first sort order.
 
   const monthIndex = {};
-  MONTHS_2025.forEach((m, i) => (monthIndex[m] = i));
+  rowValues.forEach((m, i) => (monthIndex[m] = i));
 
   filledData.sort((a, b) => {
-    const ma = monthIndex[a.Mes_Anio];
-    const mb = monthIndex[b.Mes_Anio];
+    const ma = monthIndex[a[rowKey]];
+    const mb = monthIndex[b[rowKey]];
     if (ma !== mb) return ma - mb;
-    if (a.Nombre_Unidad < b.Nombre_Unidad) return -1;
-    if (a.Nombre_Unidad > b.Nombre_Unidad) return 1;
+    if (a[columnKey] < b[columnKey]) return -1;
+    if (a[columnKey] > b[columnKey]) return 1;
     return 0;
   });
 
@@ -305,64 +348,52 @@ function fillMissingMonths(data) {
 
 // --- Pivot Table Logic ---
 
-const UNIT_ORDER = [
-  "Palacio Mundo Imperial",
-  "Princess Mundo Imperial",
-  "Pierre Mundo Imperial",
-];
-
-function sortUnits(units) {
-  return units.sort((a, b) => {
-    const ia = UNIT_ORDER.indexOf(a);
-    const ib = UNIT_ORDER.indexOf(b);
-    if (ia === -1 && ib === -1) return a.localeCompare(b);
-    if (ia === -1) return 1;
-    if (ib === -1) return -1;
-    return ia - ib;
-  });
+// `unitOrder` is the display order of the units (see resolveUnits)
+function sortUnits(units, unitOrder) {
+  return sortUnitNames(units, unitOrder);
 }
 
-function generatePivotTables(data) {
-  if (!Array.isArray(data) || data.length === 0) return [];
+// `meta` is the section metadata: "-- @pivot" picks the metrics and the
+// column aggregators ("-- @aggregate" / "-- @columns") compute the TOTAL row,
+// so it matches the "Acumulado" row of the same unit. Without @pivot the
+// `defaultMetrics` ("pivotMetrics" of config/reports.json) the data has are
+// pivoted, in that order. "-- @pivotBy" sets the row and column keys of the
+// tables (months by unit by default).
+function generatePivotTables(
+  data,
+  periodMonths,
+  unitOrder,
+  meta = {},
+  defaultMetrics = DEFAULT_REPORT_CONFIG.pivotMetrics
+) {
+  const pivotMetrics = meta.pivot;
+  // Pivots are row key x column key (month x unit) tables
+  if (!hasPivotKeys(data, meta)) return [];
+  const { rowKey, columnKey } = pivotKeys(meta);
 
   // Check available columns to decide what to pivot
   const sample = data[0];
-  const metrics_to_pivot = [];
-
-  if (sample.hasOwnProperty("Cantidad_Tickets"))
-    metrics_to_pivot.push("Cantidad_Tickets");
-  if (sample.hasOwnProperty("Cantidad_Total_Tickets_Glitch"))
-    metrics_to_pivot.push("Cantidad_Total_Tickets_Glitch");
-  if (sample.hasOwnProperty("Total_Tickets_Mantenimiento"))
-    metrics_to_pivot.push("Total_Tickets_Mantenimiento");
-  if (sample.hasOwnProperty("Total_Tickets_TI"))
-    metrics_to_pivot.push("Total_Tickets_TI");
-  if (sample.hasOwnProperty("Total_Tickets_LostAndFound"))
-    metrics_to_pivot.push("Total_Tickets_LostAndFound");
-
-  // Add compliance or time if available
-  if (sample.hasOwnProperty("Total_Tiempo_Productivo"))
-    metrics_to_pivot.push("Total_Tiempo_Productivo");
-  if (sample.hasOwnProperty("Promedio_Tiempo_Productivo"))
-    metrics_to_pivot.push("Promedio_Tiempo_Productivo");
-  if (sample.hasOwnProperty("Promedio_Tiempo_Estimado"))
-    metrics_to_pivot.push("Promedio_Tiempo_Estimado");
-  if (sample.hasOwnProperty("Porcentaje_Cumplimiento"))
-    metrics_to_pivot.push("Porcentaje_Cumplimiento");
+  let metrics_to_pivot;
+
+  if (pivotMetrics) {
+    const missing = pivotMetrics.filter((m) => !sample.hasOwnProperty(m));
+    if (missing.length > 0) {
+      throw new Error(`@pivot column(s) not found in data: ${missing.join(", ")}`);
+    }
+    metrics_to_pivot = pivotMetrics;
+  } else {
+    metrics_to_pivot = defaultMetrics.filter((m) =>
+      sample.hasOwnProperty(m)
+    );
+  }
 
   if (metrics_to_pivot.length === 0) return [];
 
-  const uniqueUnits = [...new Set(data.map((r) => r.Nombre_Unidad))];
-  const units = sortUnits(uniqueUnits);
+  const units = pivotColumnValues(data, columnKey, unitOrder);
+  const spec = resolveColumnSpec(meta, Object.keys(sample)) || {};
 
-  // Sort months strictly by our defined 2025 array order
-  const monthIndex = {};
-  MONTHS_2025.forEach((m, i) => (monthIndex[m] = i));
-  const months = [...new Set(data.map((r) => r.Mes_Anio))].sort((a, b) => {
-    const ia = monthIndex[a] !== undefined ? monthIndex[a] : 999;
-    const ib = monthIndex[b] !== undefined ? monthIndex[b] : 999;
-    return ia - ib;
-  });
+  // Sort months strictly by the reporting period order
+  const months = pivotRowValues(data, rowKey, periodMonths);
 
   const pivotTablesRows = [];
 
@@ -386,9 +417,9 @@ function generatePivotTables(data) {
 
     // Let's add a "Title" row before the table
     pivotTablesRows.push({}); // Spacer
-    pivotTablesRows.push({ pivot_title: `COMPARATIVA: ${metric}` });
+    pivotTablesRows.push({ pivot_title: `COMPARATIVA: ${metric}`, metric });
 
-    const columnHeader = { Mes: "Mes" };
+    const columnHeader = { Mes: rowKey === "Mes_Anio" ? "Mes" : rowKey };
     units.forEach((u) => (columnHeader[u] = u));
     pivotTablesRows.push(columnHeader);
 
@@ -396,7 +427,7 @@ function generatePivotTables(data) {
       const rowObj = { Mes: month };
       for (const unit of units) {
         const record = data.find(
-          (r) => r.Mes_Anio === month && r.Nombre_Unidad === unit
+          (r) => r[rowKey] === month && r[columnKey] === unit
         );
         let val = record ? record[metric] : 0;
 
@@ -412,9 +443,28 @@ function generatePivotTables(data) {
     // Totals Row?
     const totalRow = { Mes: "TOTAL" };
     for (const unit of units) {
-      // Calculate column total if numeric
-      // Check first value to see if it looks numeric
-      if (tableRows.length > 0) {
+      const unitRows = data.filter(
+        (r) => r[columnKey] === unit && months.includes(r[rowKey])
+      );
+      const weight = sample.hasOwnProperty("Cantidad_Tickets")
+        ? "Cantidad_Tickets"
+        : null;
+
+      if (spec[metric]) {
+        // Same aggregator as the accumulation row
+        totalRow[unit] = aggregateColumn(unitRows, metric, spec);
+      } else if (
+        weight &&
+        metric !== weight &&
+        (metric.startsWith("Promedio") || metric.includes("Porcentaje"))
+      ) {
+        // Averages and percentages: weight each month by its ticket count
+        totalRow[unit] = aggregateColumn(unitRows, metric, {
+          [metric]: { aggregator: "weighted_avg", args: [weight] },
+        });
+      } else if (tableRows.length > 0) {
+        // Calculate column total if numeric
+        // Check first value to see if it looks numeric
         const firstVal = tableRows[0][unit];
         const isTime = typeof firstVal === "string" && firstVal.includes(":");
         const isPct = metric.includes("Porcentaje");
@@ -426,8 +476,8 @@ function generatePivotTables(data) {
             0
           );
           totalRow[unit] = formatDuration(totalSec); // Or Average? Usually Total for time, Avg for Avg.
-          // If metric is Promedio_..., we should probably Average the averages (weighted?)
-          // Weighted is hard without weight data here. Simple Average?
+          // Promedio_... without a ticket count to weight by: simple
+          // average of the months that have data
           if (metric.startsWith("Promedio")) {
             const count = tableRows.filter(
               (r) => parseDuration(r[unit]) > 0
@@ -435,7 +485,7 @@ function generatePivotTables(data) {
             if (count > 0) totalRow[unit] = formatDuration(totalSec / count);
           }
         } else if (isPct) {
-          // Average percentage
+          // Average percentage (no ticket count to weight by)
           const validRows = tableRows.filter((r) => Number(r[unit]) > 0);
           const sum = validRows.reduce(
             (acc, r) => acc + parseFloat(r[unit]),
@@ -461,162 +511,820 @@ function generatePivotTables(data) {
   return pivotTablesRows;
 }
 
-function processDirectoryToWorkbook(directoryPath, outputFilename) {
-  if (!fs.existsSync(directoryPath)) return;
+function listJsonFiles(directoryPath) {
+  if (!fs.existsSync(directoryPath)) return [];
 
   const items = fs.readdirSync(directoryPath, { withFileTypes: true });
-  const jsonFiles = items.filter(
-    (item) => item.isFile() && item.name.toLowerCase().endsWith(".json")
+  // Dotfiles (e.g. .manifest.json) are metadata, not reports
+  return items
+    .filter(
+      (item) =>
+        item.isFile() &&
+        !item.name.startsWith(".") &&
+        rowFileFormat(item.name) !== null
+    )
+    .map((item) => item.name);
+}
+
+// JSON files of a directory, limited to the sections picked with --sections
+function selectedJsonFiles(directoryPath, context) {
+  const fileNames = listJsonFiles(directoryPath);
+  if (!context.selectedSections) return fileNames;
+  return fileNames.filter((fileName) =>
+    context.selectedSections.includes(findSectionForFile(context.sections, fileName))
   );
+}
+
+// Metadata ("-- @sheet", "-- @aggregate"...) of the section a file came from
+function metaForFile(context, filename) {
+  const section = findSectionForFile(context.sections, filename);
+  return section ? section.meta : {};
+}
+
+// Output group ("-- @group" of its query file) of the section a file came
+// from, or null
+function groupForFile(context, filename) {
+  const section = findSectionForFile(context.sections, filename);
+  return section ? section.group : null;
+}
 
-  if (jsonFiles.length === 0) return;
+// File names by the workbook `workbookFor(fileName)` puts them in, in order
+function filesByWorkbook(fileNames, workbookFor) {
+  const byWorkbook = {};
+  for (const fileName of fileNames) {
+    const workbookName = workbookFor(fileName);
+    if (!byWorkbook[workbookName]) byWorkbook[workbookName] = [];
+    byWorkbook[workbookName].push(fileName);
+  }
+  return byWorkbook;
+}
 
-  const workbook = XLSX.utils.book_new();
-  let hasSheets = false;
+// A unit's workbook, plus "<Unit>_<group>" for the files of grouped query
+// files
+async function processDirectoryToWorkbook(
+  directoryPath,
+  outputName,
+  context,
+  options = {}
+) {
+  const byWorkbook = filesByWorkbook(selectedJsonFiles(directoryPath, context), (fileName) => {
+    const group = groupForFile(context, fileName);
+    return group ? `${outputName}_${group}` : outputName;
+  });
+  for (const [workbookName, fileNames] of Object.entries(byWorkbook)) {
+    await processFilesToWorkbook(directoryPath, fileNames, workbookName, context, options);
+  }
+}
 
-  console.log(`Creating ${outputFilename} with ${jsonFiles.length} files...`);
+// Row layout of one sheet: the raw rows, the accumulation and the pivot
+// blocks stacked vertically. Each row has a role ("header", "data", "title",
+// "total", "spacer") that the writers turn into a style, and cells
+// typed from the raw data columns (see lib/cells.js) so durations,
+// percentages and counts are real numbers in Excel. With --deltas the
+// change tables follow the pivots; `previousData` is last year's rows of the
+// same file, if any. Data that disagrees with the report's definition in
+// config/reports.json (missing columns, values of the wrong type) throws.
+// Sections with "-- @layout" get that layout instead (see SHEET_LAYOUTS).
+function buildSheetLayout(fileName, data, context, meta, previousData = null) {
+  const { period, unitOrder } = context;
+  const config = context.reportConfig || DEFAULT_REPORT_CONFIG;
+  const months = monthLabels(period);
+  validateReportData(meta, data);
+
+  if (meta.layout) {
+    if (!SHEET_LAYOUTS[meta.layout]) {
+      throw new Error(
+        `Unknown @layout '${meta.layout}' (expected one of ${Object.keys(SHEET_LAYOUTS).join(", ")})`
+      );
+    }
+    return SHEET_LAYOUTS[meta.layout](data, meta, context);
+  }
 
-  for (const file of jsonFiles) {
-    const filePath = path.join(directoryPath, file.name);
-    try {
-      const content = fs.readFileSync(filePath, "utf8");
-      let data = JSON.parse(content);
+  // 0. Fill Missing Months
+  const { rowKey, columnKey } = pivotKeys(meta);
+  if (hasPivotKeys(data, meta)) {
+    data = fillMissingMonths(data, months, meta, config);
+  }
 
-      if (Array.isArray(data) && data.length > 0) {
-        const sheetName = cleanSheetName(file.name);
+  // 1. Generate Aggregated Rows (Annual Accumulation)
+  const accumulated = aggregateData(fileName, data, period, meta, unitOrder);
+
+  // 2. Generate Pivot Data (Matrices)
+  const pivotData = generatePivotTables(data, months, unitOrder, meta, config.pivotMetrics);
+
+  const rows = [];
+  const spacer = () => rows.push({ role: "spacer", cells: [] });
+  const headerCells = (keys) =>
+    keys.map((k) => ({ value: k, kind: "text", column: k }));
+
+  // 3. Original Data
+  const originalKeys = Object.keys(data[0]);
+  const kinds = reportColumnKinds(data, originalKeys, meta);
+  const toCells = (r, keys) =>
+    keys.map((k) => ({ ...typedValue(r[k], kinds[k]), column: k }));
+  rows.push({ role: "header", cells: headerCells(originalKeys) });
+  data.forEach((r) => rows.push({ role: "data", cells: toCells(r, originalKeys) }));
+
+  // 4. Accumulation ("Acumulado" rows, styled like totals)
+  if (accumulated.length > 0) {
+    spacer();
+    spacer();
+    const accKeys = Object.keys(accumulated[0]);
+    rows.push({ role: "header", cells: headerCells(accKeys) });
+    accumulated.forEach((r) => rows.push({ role: "total", cells: toCells(r, accKeys) }));
+  }
 
-        // 0. Fill Missing Months
-        if (data[0].Mes_Anio && data[0].Nombre_Unidad) {
-          data = fillMissingMonths(data);
-        }
+  // 5. Pivot Tables
+  const pivotBlocks = [];
+  if (pivotData.length > 0) {
+    spacer();
 
-        // 1. Generate Aggregated Rows (Annual Accumulation)
-        const accumulated = aggregateData(file.name, data);
-
-        // 2. Generate Pivot Data (Matrices)
-        const pivotData = generatePivotTables(data);
-
-        // 3. Combine Data
-        // (This part doesn't matter much since we build AOA directly below)
-
-        // json_to_sheet might struggle with mixed keys if we are not careful.
-        // explicitly using `skipHeader: false` (default) will try to union all keys.
-        // Ideally, we pass an array of arrays to `aoa_to_sheet` for complex layouts,
-        // but `json_to_sheet` with mixed objects usually works by creating sparse columns.
-        // However, `pivotData` keys (Unit Names) might not exist in `data`.
-        // This means new columns will be added to the right matching the Unit Names.
-        // This effectively puts the table "below" but with different column alignment.
-        // Users might prefer it aligned to A, B, C.
-        // If we want to force alignment to A, B, C, we need AOA (Array of Arrays) conversion.
-
-        // Let's Convert everything to AOA to ensure visual stacking is vertical, not diagonal.
-
-        // -- CONVERT TO AOA --
-        // 1. Original Data Headers
-        const originalKeys = Object.keys(data[0]);
-        const sheetAOA = [originalKeys];
-        data.forEach((r) => sheetAOA.push(originalKeys.map((k) => r[k])));
-
-        // 2. Accumulation
-        if (accumulated.length > 0) {
-          sheetAOA.push([]); // Spacer
-          sheetAOA.push([]); // Spacer
-          // Header for accumulation (assume same keys + new ones?)
-          // Accumulation has same keys mostly.
-          const accKeys = Object.keys(accumulated[0]);
-          sheetAOA.push(accKeys);
-          accumulated.forEach((r) => sheetAOA.push(accKeys.map((k) => r[k])));
-        }
+    // Get units once for consistent column order in pivot tables
+    const unitsForPivot = pivotColumnValues(data, columnKey, unitOrder);
+
+    let block = null;
+    for (const row of pivotData) {
+      if (Object.keys(row).length === 0) {
+        spacer();
+        continue;
+      }
+      if (row.pivot_title) {
+        // Track where each block lands so a chart can point at it
+        block = {
+          metric: row.metric,
+          kind: kinds[row.metric] || "text",
+          titleRow: rows.length,
+          seriesCount: unitsForPivot.length,
+        };
+        pivotBlocks.push(block);
+        rows.push({ role: "title", cells: [{ value: row.pivot_title, kind: "text" }] });
+        continue;
+      }
+
+      // Enforce the column order: Mes, then the units sorted
+      const label = { value: row["Mes"] || "", kind: "text" };
+      if (block.headerRow === undefined) {
+        block.headerRow = rows.length;
+        block.firstDataRow = rows.length + 1;
+        rows.push({ role: "header", cells: [label, ...headerCells(unitsForPivot)] });
+        continue;
+      }
+      const isTotal = row["Mes"] === "TOTAL";
+      if (isTotal) block.lastDataRow = rows.length - 1;
+      rows.push({
+        role: isTotal ? "total" : "data",
+        cells: [
+          label,
+          ...unitsForPivot.map((u) => ({
+            ...typedValue(row[u], block.kind),
+            column: block.metric,
+          })),
+        ],
+      });
+    }
+
+    // 6. Change tables (month over month, year over year), only for
+    // tables by month
+    if (context.deltas && rowKey === "Mes_Anio") {
+      rows.push(
+        ...buildDeltaBlocks({
+          data,
+          previousData,
+          metrics: pivotBlocks.map((b) => b.metric),
+          units: unitsForPivot,
+          months: [...new Set(data.map((r) => r.Mes_Anio))],
+          kinds,
+          columnKey,
+        })
+      );
+    }
+  }
+
+  // What the summary sheet reads instead of recomputing (see lib/summary.js)
+  const report = {
+    data,
+    accumulated,
+    pivotData,
+    spec: resolveColumnSpec(meta, originalKeys),
+    kinds,
+  };
+
+  return { rows, pivotBlocks, report };
+}
 
-        // 3. Pivot Tables
-        if (pivotData.length > 0) {
-          // pivotData is a list of objects, some are spacers, some are headers.
-          // We need to interpret them.
-          // The logic above pushed objects. Let's iterate.
-
-          sheetAOA.push([]); // Spacer
-
-          // Get units once for consistent column order in pivot tables
-          const uniqueUnits = [...new Set(data.map((r) => r.Nombre_Unidad))];
-          const unitsForPivot = sortUnits(uniqueUnits);
-
-          for (const row of pivotData) {
-            if (Object.keys(row).length === 0) {
-              sheetAOA.push([]); // Spacer
-              continue;
-            }
-            if (row.pivot_title) {
-              sheetAOA.push([row.pivot_title]);
-              continue;
-            }
-            // It's a data row or header row (simulated as object)
-            // Keys might be: Mes, Palacio, Princess...
-            // We want to map these to Col A, Col B, Col C...
-
-            // To be safe, let's enforce order: Mes, then Units sorted.
-            const line = [];
-            line.push(row["Mes"] || "");
-            unitsForPivot.forEach((u) => line.push(row[u]));
-            sheetAOA.push(line);
+// Layout of an NDJSON export: one plain sheet read row by row (split by
+// the writer past Excel's row limit), without the "Acumulado" and
+// COMPARATIVA blocks, which need the whole file in memory. Column kinds come
+// from the report's declared types and the first rows, which are also the
+// ones checked against its definition. The rows re-read the file on every
+// pass (one per output format) and `stats` is filled in as they are consumed.
+async function buildStreamedLayout(filePath, meta = {}) {
+  const head = [];
+  for await (const r of readRows(filePath)) {
+    head.push(r);
+    if (head.length === KIND_SAMPLE_ROWS) break;
+  }
+  // rows stays null (unknown) when the sheet is never written (--dry-run)
+  const stats = { rows: head.length === 0 ? 0 : null, durationMs: null };
+  if (head.length === 0) return { rows: [], pivotBlocks: [], stats };
+
+  validateReportData(meta, head);
+  const keys = Object.keys(head[0]);
+  const kinds = reportColumnKinds(head, keys, meta);
+
+  async function* layoutRows() {
+    const started = Date.now();
+    stats.rows = 0;
+    yield {
+      role: "header",
+      cells: keys.map((k) => ({ value: k, kind: "text", column: k })),
+    };
+    for await (const r of readRows(filePath)) {
+      stats.rows++;
+      yield {
+        role: "data",
+        cells: keys.map((k) => ({ ...typedValue(r[k], kinds[k]), column: k })),
+      };
+    }
+    stats.durationMs = Date.now() - started;
+  }
+
+  return { rows: { [Symbol.asyncIterator]: layoutRows }, pivotBlocks: [], stats };
+}
+
+// Reconciles the SQL totals `totals` of a file with the "Acumulado" rows of
+// the section its "-- @reconcile" names, built from that section's file in
+// the same folder the same way as its own sheet
+function reconcileFile(directoryPath, totals, section, context) {
+  const config = context.reportConfig || DEFAULT_REPORT_CONFIG;
+  const { reconcile } = section.meta;
+  const checked = context.sections.find((s) => s.title === reconcile);
+  if (!checked) {
+    throw new Error(`@reconcile: no section '${reconcile}' in the query files`);
+  }
+  if (checked.meta.format === "ndjson") {
+    throw new Error(`@reconcile: '${reconcile}' is an NDJSON export, without "Acumulado" rows`);
+  }
+  const checkedFile = `${checked.fileBase}${ROW_FILE_EXTENSIONS.json}`;
+  const checkedPath = path.join(directoryPath, checkedFile);
+  if (!fs.existsSync(checkedPath)) {
+    throw new Error(`@reconcile: ${checkedPath} not found, nothing to check the totals against`);
+  }
+
+  let data = JSON.parse(fs.readFileSync(checkedPath, "utf8"));
+  if (!Array.isArray(data) || data.length === 0) {
+    throw new Error(`@reconcile: ${checkedPath} has no rows`);
+  }
+  if (hasPivotKeys(data, checked.meta)) {
+    data = fillMissingMonths(data, monthLabels(context.period), checked.meta, config);
+  }
+  const accumulated = aggregateData(
+    checkedFile,
+    data,
+    context.period,
+    checked.meta,
+    context.unitOrder
+  );
+  if (accumulated.length === 0) {
+    throw new Error(`@reconcile: '${reconcile}' has no "Acumulado" rows (@aggregate: none)`);
+  }
+
+  return reconcileTotals({
+    title: section.title,
+    checked: reconcile,
+    accumulated,
+    totals,
+    kinds: reportColumnKinds(totals, Object.keys(totals[0]), section.meta),
+    tolerance: config.reconcileTolerance,
+  });
+}
+
+// Per department views of a label report (--by-department), joined with the
+// compliance rows of the section its "-- @drilldown" names, read from the
+// same folder
+function departmentViews(directoryPath, labels, section, context) {
+  const { drilldown } = section.meta;
+  const joined = context.sections.find((s) => s.title === drilldown);
+  if (!joined) {
+    throw new Error(`@drilldown: no section '${drilldown}' in the query files`);
+  }
+  const joinedPath = path.join(directoryPath, `${joined.fileBase}${ROW_FILE_EXTENSIONS.json}`);
+  if (!fs.existsSync(joinedPath)) {
+    throw new Error(`@drilldown: ${joinedPath} not found, no compliance figures to join`);
+  }
+  const compliance = JSON.parse(fs.readFileSync(joinedPath, "utf8"));
+  if (!Array.isArray(compliance)) throw new Error(`@drilldown: ${joinedPath} is not a list of rows`);
+
+  const keys = Object.keys(labels[0]);
+  return buildDepartmentLayouts({
+    labels,
+    labelKinds: reportColumnKinds(labels, keys, section.meta),
+    spec: resolveColumnSpec(section.meta, keys) || {},
+    compliance,
+    complianceKinds:
+      compliance.length > 0
+        ? reportColumnKinds(compliance, Object.keys(compliance[0]), joined.meta)
+        : {},
+  });
+}
+
+// Last year's rows for an input file: the file at the same place under
+// `context.previousInputDir` (see --previous-year), or null
+function readPreviousData(context, filePath) {
+  const file = path.join(context.previousInputDir, path.relative(context.inputDir, filePath));
+  if (!fs.existsSync(file)) return null;
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  return Array.isArray(data) && data.length > 0 ? data : null;
+}
+
+// Sheet layouts for the files of one workbook, plus their run report
+// entries. With `options.summary` the workbook starts with a "Resumen"
+// sheet built from the other sheets' reports; with --changes it ends with
+// a "Cambios" sheet comparing its files to `context.changesFrom`. Files of
+// sections with "-- @reconcile" add a "Validación" sheet and a run report
+// entry each, failed when some figure is off. With --by-department, files of
+// sections with "-- @drilldown" add a sheet per department ("sheets") or
+// return them as `workbooks`, one per department ("workbooks").
+// `options.unit` is the unit folder, for the run report. Streamed files only know their row count once
+// the outputs are written, so their entry carries the `stats` to read then.
+async function buildWorkbookSheets(directoryPath, fileNames, context, options = {}) {
+  const sheets = [];
+  const usedNames = new Set([
+    ...(options.summary ? [SUMMARY_SHEET_NAME] : []),
+    ...(context.changesFrom ? [CHANGES_SHEET_NAME] : []),
+    ...(fileNames.some((f) => metaForFile(context, f).reconcile) ? [VALIDATION_SHEET_NAME] : []),
+  ]);
+  // Section title -> data behind its sheet (see lib/summary.js)
+  const reports = {};
+  const entries = [];
+  const validations = [];
+  const departments = [];
+
+  for (const fileName of fileNames) {
+    const filePath = path.join(directoryPath, fileName);
+    const section = findSectionForFile(context.sections, fileName);
+    const entry = {
+      stage: "build",
+      section: section ? section.title : fileName,
+      unit: options.unit || null,
+      file: filePath,
+    };
+    const started = Date.now();
+    try {
+      const meta = metaForFile(context, fileName);
+      let layout = null;
+      let hasRows;
+
+      if (rowFileFormat(fileName) === "ndjson") {
+        layout = await buildStreamedLayout(filePath, meta);
+        hasRows = layout.stats.rows !== 0;
+        entries.push({ ...entry, stats: layout.stats });
+      } else {
+        const content = fs.readFileSync(filePath, "utf8");
+        const data = JSON.parse(content);
+        const rowCount = Array.isArray(data) ? data.length : 0;
+        hasRows = rowCount > 0;
+        if (hasRows) {
+          const previousData = context.deltas ? readPreviousData(context, filePath) : null;
+          layout = buildSheetLayout(fileName, data, context, meta, previousData);
+          reports[section ? section.title : stripRowFileExtension(fileName)] = layout.report;
+        }
+        entries.push({
+          ...entry,
+          status: hasRows ? "ok" : "empty",
+          rows: rowCount,
+          durationMs: Date.now() - started,
+        });
+
+        if (hasRows && meta.drilldown && context.byDepartment) {
+          const drilldownEntry = { ...entry, section: `${section.title} (por departamento)` };
+          try {
+            const views = departmentViews(directoryPath, data, section, context);
+            departments.push(...views);
+            entries.push({ ...drilldownEntry, status: "ok", rows: views.length });
+          } catch (err) {
+            console.error(`  ! Error splitting ${fileName} by department:`, err.message);
+            entries.push({ ...drilldownEntry, status: "failed", error: err.message });
           }
         }
 
-        const worksheet = XLSX.utils.aoa_to_sheet(sheetAOA);
-
-        let finalSheetName = sheetName;
-        let counter = 1;
-        while (workbook.SheetNames.includes(finalSheetName)) {
-          finalSheetName = `${sheetName.substring(
-            0,
-            MAX_SHEET_NAME_LENGTH - 3
-          )}_${counter}`;
-          counter++;
+        if (hasRows && meta.reconcile) {
+          const validationEntry = {
+            ...entry,
+            section: `${VALIDATION_SHEET_NAME}: ${section.title}`,
+          };
+          try {
+            const result = reconcileFile(directoryPath, data, section, context);
+            const found = discrepancies(result);
+            validations.push(result);
+            entries.push({
+              ...validationEntry,
+              status: found.length === 0 ? "ok" : "failed",
+              rows: result.checks.length,
+              ...(found.length > 0
+                ? {
+                    error: `${found.length} figure(s) differ from the "Acumulado" of '${result.checked}' beyond the tolerance`,
+                  }
+                : {}),
+            });
+          } catch (err) {
+            console.error(`  ! Error validating ${fileName}:`, err.message);
+            entries.push({ ...validationEntry, status: "failed", error: err.message });
+          }
         }
+      }
 
-        XLSX.utils.book_append_sheet(workbook, worksheet, finalSheetName);
-        hasSheets = true;
+      if (hasRows) {
+        const { sheetNameLength } = context.reportConfig || DEFAULT_REPORT_CONFIG;
+        const finalSheetName = uniqueSheetName(meta.sheet || fileName, usedNames, sheetNameLength);
+
+        sheets.push({
+          name: finalSheetName,
+          rows: layout.rows,
+          pivotBlocks: layout.pivotBlocks,
+        });
         console.log(`  + Added sheet: ${finalSheetName}`);
       }
     } catch (err) {
-      console.error(`  ! Error processing ${file.name}:`, err.message);
+      console.error(`  ! Error processing ${fileName}:`, err.message);
+      entries.push({
+        ...entry,
+        status: "failed",
+        durationMs: Date.now() - started,
+        error: err.message,
+      });
     }
   }
 
-  if (hasSheets) {
-    if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
-    XLSX.writeFile(workbook, path.join(outputDir, outputFilename));
-    console.log(`Saved workbook: ${outputFilename}`);
+  if (sheets.length > 0 && options.summary) {
+    const { summary: summaryConfig } = context.reportConfig || DEFAULT_REPORT_CONFIG;
+    const summary = buildSummaryLayout(reports, context.unitOrder, context.period, summaryConfig);
+    sheets.unshift({ name: SUMMARY_SHEET_NAME, ...summary });
+    console.log(`  + Added sheet: ${SUMMARY_SHEET_NAME}`);
+  }
+
+  const { sheetNameLength } = context.reportConfig || DEFAULT_REPORT_CONFIG;
+  const workbooks = [];
+  for (const { department, rows } of departments) {
+    if (context.byDepartment === "workbooks") {
+      workbooks.push({
+        name: safeName(department),
+        sheets: [{ name: cleanSheetName(department, sheetNameLength), rows, pivotBlocks: [] }],
+      });
+    } else {
+      const name = uniqueSheetName(department, usedNames, sheetNameLength);
+      sheets.push({ name, rows, pivotBlocks: [] });
+      console.log(`  + Added sheet: ${name}`);
+    }
   }
+
+  if (validations.length > 0) {
+    sheets.push({ name: VALIDATION_SHEET_NAME, ...buildValidationLayout(validations) });
+    console.log(`  + Added sheet: ${VALIDATION_SHEET_NAME}`);
+  }
+
+  if (sheets.length > 0 && context.changesFrom) {
+    const files = fileNames.map((f) =>
+      path.relative(context.inputDir, path.join(directoryPath, f))
+    );
+    try {
+      const results = await diffDirectories(
+        context.changesFrom,
+        context.inputDir,
+        context.sections,
+        files
+      );
+      const layout = buildChangesLayout(
+        results,
+        path.basename(context.changesFrom),
+        path.basename(context.inputDir)
+      );
+      sheets.push({ name: CHANGES_SHEET_NAME, ...layout });
+      console.log(`  + Added sheet: ${CHANGES_SHEET_NAME}`);
+    } catch (err) {
+      console.error(`  ! Error comparing with ${context.changesFrom}:`, err.message);
+      entries.push({
+        stage: "build",
+        section: CHANGES_SHEET_NAME,
+        unit: options.unit || null,
+        file: context.changesFrom,
+        status: "failed",
+        error: err.message,
+      });
+    }
+  }
+
+  return { sheets, entries, workbooks };
 }
 
-function main() {
-  if (!fs.existsSync(inputDir)) {
-    console.error(`Input directory '${inputDir}' does not exist.`);
+// Writes the sheets once per --format (see lib/outputFormats.js). A writer
+// that fails (e.g. a malformed line halfway through a streamed file) is
+// recorded in `entries` and doesn't stop the other formats.
+async function writeOutputs(sheets, outputName, context, entries, unit) {
+  const base = path.join(context.outputDir, outputName);
+  const targets = context.formats.map((format) => ({
+    format,
+    target: OUTPUT_FORMATS[format].target(base),
+  }));
+
+  if (context.dryRun) {
+    console.log(
+      `Would write ${targets.map((t) => t.target).join(", ")} (${sheets
+        .map((s) => s.name)
+        .join(", ")})`
+    );
     return;
   }
 
-  // 1. Process Root JSON files -> General.xlsx
+  fs.mkdirSync(context.outputDir, { recursive: true });
+  const { sheetNameLength } = context.reportConfig || DEFAULT_REPORT_CONFIG;
+  for (const { format, target } of targets) {
+    try {
+      await OUTPUT_FORMATS[format].write(sheets, target, {
+        charts: context.charts,
+        complianceThreshold: context.complianceThreshold,
+        sheetNameLength,
+      });
+      console.log(`Saved ${format}: ${target}`);
+    } catch (err) {
+      console.error(`  ! Error writing ${target}:`, err.message);
+      entries.push({
+        stage: "build",
+        section: path.basename(target),
+        unit: unit || null,
+        file: target,
+        status: "failed",
+        error: err.message,
+      });
+    }
+  }
+}
+
+// One workbook (General, a unit...) in every output format. `outputName`
+// has no extension; see buildWorkbookSheets for `options`.
+async function processFilesToWorkbook(
+  directoryPath,
+  fileNames,
+  outputName,
+  context,
+  options = {}
+) {
+  if (fileNames.length === 0) return;
+
+  console.log(`Creating ${outputName} with ${fileNames.length} files...`);
+  const { sheets, entries, workbooks } = await buildWorkbookSheets(
+    directoryPath,
+    fileNames,
+    context,
+    options
+  );
+  if (sheets.length > 0) {
+    await writeOutputs(sheets, outputName, context, entries, options.unit);
+  }
+  // --by-department workbooks: one file per department head
+  for (const workbook of workbooks) {
+    await writeOutputs(
+      workbook.sheets,
+      `${outputName}_${workbook.name}`,
+      context,
+      entries,
+      options.unit
+    );
+  }
+
+  for (const { stats, ...entry } of entries) {
+    if (stats) {
+      entry.status = stats.rows === 0 ? "empty" : "ok";
+      entry.rows = stats.rows;
+      entry.durationMs = stats.durationMs;
+    }
+    addEntry(context.report, entry);
+  }
+}
+
+// Period priority: command line flags, then the period recorded by
+// process_queries.js in the input manifest, then the years of the data.
+function resolvePeriod(options) {
+  if (options.period) return options.period;
+
+  const manifest = readManifest(options.inputDir);
+  if (manifest && manifest.period) {
+    return createPeriod(manifest.period.from, manifest.period.to);
+  }
+
+  const years = dataYears(options.inputDir);
+  if (years.length === 0) {
+    throw new Error(
+      `${options.inputDir} has no ${MANIFEST_FILE} and no Mes_Anio months in its data; ` +
+        "pass --year or --from/--to"
+    );
+  }
+  return createPeriod(`${years[0]}-01-01`, `${years[years.length - 1]}-12-31`);
+}
+
+// Years of the Mes_Anio months in the .json files of `inputDir` and its unit
+// folders, in order. A file that does not parse is left to its build entry.
+function dataYears(inputDir) {
+  const dirs = [inputDir, ...listUnitFolders(inputDir).map((f) => path.join(inputDir, f))];
+  const years = new Set();
+  for (const dir of dirs) {
+    for (const fileName of listJsonFiles(dir)) {
+      if (rowFileFormat(fileName) !== "json") continue;
+      let rows;
+      try {
+        rows = JSON.parse(fs.readFileSync(path.join(dir, fileName), "utf8"));
+      } catch {
+        continue;
+      }
+      if (!Array.isArray(rows)) continue;
+      for (const row of rows) {
+        const month = row && parseMonthLabel(row.Mes_Anio);
+        if (month) years.add(month.year);
+      }
+    }
+  }
+  return [...years].sort((a, b) => a - b);
+}
+
+// The unit list recorded by process_queries.js wins; without it (e.g. hand
+// made Input folders) the order comes from config/units.json and the unit
+// folders are whatever subdirectories exist.
+function resolveUnits(options) {
+  const manifest = readManifest(options.inputDir);
+  if (manifest && Array.isArray(manifest.units) && manifest.units.length > 0) {
+    return {
+      units: manifest.units,
+      unitOrder: manifest.units.map((u) => u.name),
+    };
+  }
+
+  const config = loadUnitsConfig();
+  const order =
+    config.source === "config" ? config.units.map((u) => u.name) : config.order;
+  return { units: null, unitOrder: order.map(String) };
+}
+
+// Subfolders of `inputDir`. Dot folders (e.g. .previous) hold other data,
+// not units
+function listUnitFolders(inputDir) {
+  if (!fs.existsSync(inputDir)) return [];
+  return fs
+    .readdirSync(inputDir, { withFileTypes: true })
+    .filter((item) => item.isDirectory() && !item.name.startsWith("."))
+    .map((item) => item.name);
+}
+
+// Unit folders to build a workbook for. --units / --exclude-units match
+// the manifest units by id or name, and bare folders by name or folder name.
+function resolveUnitFolders(options, units) {
+  let candidates;
+  if (units) {
+    candidates = units;
+  } else {
+    candidates = listUnitFolders(options.inputDir).map((folder) => ({
+      id: null,
+      name: folder,
+      folder,
+    }));
+  }
+
+  const { include = [], exclude = [] } = options.unitFilters || {};
+  const matches = (unit, key) =>
+    String(unit.id) === key || unit.name === key || unit.folder === key;
+
+  return candidates
+    .filter((unit) => include.length === 0 || include.some((k) => matches(unit, k)))
+    .filter((unit) => !exclude.some((k) => matches(unit, k)))
+    .map((unit) => unit.folder)
+    .filter((folder) => fs.existsSync(path.join(options.inputDir, folder)));
+}
+
+// Turns the JSON in `options.inputDir` into workbooks in `options.outputDir`,
+// in each of `options.formats`
+// (see lib/options.js). A missing input directory throws; a file that can't
+// be turned into a sheet is logged and recorded in the run report.
+async function build(options, report = createRunReport("build")) {
+  const { inputDir } = options;
+  if (!fs.existsSync(inputDir)) {
+    throw new Error(`Input directory '${inputDir}' does not exist.`);
+  }
+
+  const period = resolvePeriod(options);
+  console.log(`Reporting period: ${period.from} -> ${period.to}`);
+  const { units, unitOrder } = resolveUnits(options);
+
+  // --changes: compare with --old, or the snapshot before this extract
+  let changesFrom = null;
+  if (options.changes) {
+    changesFrom = options.oldSnapshot
+      ? resolveSnapshot(options.snapshotsDir, options.oldSnapshot)
+      : previousSnapshot(options.snapshotsDir, inputDir);
+    if (!changesFrom) {
+      console.log(`No earlier snapshot in ${options.snapshotsDir}; no "Cambios" sheet.`);
+    }
+  }
+  const sections = loadQueryFiles(options.queryFiles, { missingOk: true });
+  const reportConfig = loadReportConfig();
+  const unmatched = applyReportConfig(sections, reportConfig);
+  if (unmatched.length > 0) {
+    console.warn(
+      `${REPORT_CONFIG_FILE}: no section in ${options.queryFiles.join(", ")} for ${unmatched.join(", ")}`
+    );
+  }
+  const context = {
+    period,
+    unitOrder,
+    sections,
+    reportConfig,
+    selectedSections:
+      options.sections.length > 0 ? filterSections(sections, options.sections) : null,
+    // --charts adds a native chart next to every COMPARATIVA block
+    charts: options.charts,
+    complianceThreshold: options.complianceThreshold,
+    formats: options.formats,
+    // --by-department: per department views of the "-- @drilldown" reports
+    byDepartment: options.byDepartment,
+    // --deltas: change tables, year over year when last year's data exists
+    deltas: options.deltas,
+    inputDir,
+    previousInputDir: options.previousInputDir,
+    changesFrom,
+    outputDir: options.outputDir,
+    dryRun: options.dryRun,
+    report,
+  };
+
+  // 1. Process Root JSON files -> General.xlsx (or the "-- @workbook" of
+  // their section, else the "-- @group" of their query file, e.g.
+  // Anual.xlsx). General.xlsx ("defaultWorkbook" of config/reports.json)
+  // opens with the "Resumen" sheet.
   console.log("Processing General files...");
-  processDirectoryToWorkbook(inputDir, "General.xlsx");
+  const { defaultWorkbook } = reportConfig;
+  const byWorkbook = filesByWorkbook(
+    selectedJsonFiles(inputDir, context),
+    (fileName) =>
+      metaForFile(context, fileName).workbook ||
+      groupForFile(context, fileName) ||
+      defaultWorkbook
+  );
+  for (const [workbookName, fileNames] of Object.entries(byWorkbook)) {
+    await processFilesToWorkbook(
+      inputDir,
+      fileNames,
+      workbookName,
+      context,
+      { summary: workbookName === defaultWorkbook }
+    );
+  }
 
   // 2. Process Unit Subdirectories -> {Unit}.xlsx
-  const items = fs.readdirSync(inputDir, { withFileTypes: true });
-  const subdirs = items.filter((item) => item.isDirectory());
-
-  console.log(`Found ${subdirs.length} unit directories.`);
+  const unitFolders = resolveUnitFolders(options, units);
+  console.log(`Found ${unitFolders.length} unit directories.`);
 
-  for (const dir of subdirs) {
-    console.log(`Processing Unit: ${dir.name}`);
-    const unitPath = path.join(inputDir, dir.name);
+  for (const folder of unitFolders) {
+    console.log(`Processing Unit: ${folder}`);
+    const unitPath = path.join(inputDir, folder);
     // For Unit specific files, they might already be just for that unit,
     // so accumulation might be just one row per table.
     // User asked for "where each file.json of that unit is a sheet".
     // The logic holds.
-    const excelName = `${dir.name}.xlsx`;
-    processDirectoryToWorkbook(unitPath, excelName);
+    await processDirectoryToWorkbook(unitPath, folder, context, { unit: folder });
   }
 
   console.log("Excel conversion complete.");
+  return report;
+}
+
+// Same as `node cli.js build` (see finishRunReport for the exit codes)
+async function main() {
+  let options;
+  const report = createRunReport("build");
+  try {
+    options = parseOptions(process.argv.slice(2));
+    await build(options, report);
+  } catch (err) {
+    console.error("Fatal error:", err);
+    if (!options) {
+      process.exitCode = 1;
+      return;
+    }
+    report.fatal = err.message;
+  }
+  process.exitCode = finishRunReport(report, options);
+}
+
+if (require.main === module) {
+  main();
 }
 
-main();
+module.exports = {
+  cleanSheetName,
+  resolveColumnSpec,
+  aggregateData,
+  fillMissingMonths,
+  generatePivotTables,
+  buildSheetLayout,
+  buildWorkbookSheets,
+  resolvePeriod,
+  build,
+};
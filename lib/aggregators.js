@@ -0,0 +1,240 @@
+// Column level aggregators for the "Acumulado" rows. A report declares which
+// aggregator applies to which column, e.g.
+//
+//   -- @columns: Cantidad_Tickets=sum, Total_Tiempo_Productivo=duration_sum
+//   -- @columns: Promedio_Tiempo_Estimado=weighted_avg(Cantidad_Tickets)
+//
+// Columns without a declaration are only summed when they are counts (whole
+// numbers, not named like an average, percentage or ratio); anything else is
+// left empty, since a sum of averages means nothing, and needs a declared
+// aggregator (see unaggregatedColumns).
+
+const { parseDuration, formatDuration, isDuration } = require("./duration");
+
+const AGGREGATORS = {};
+
+// `args` is the [min, max] number of arguments the aggregator accepts.
+// `aggregate(rows, column, args)` returns the summary value.
+function registerAggregator(name, { args = [0, 0], aggregate }) {
+  AGGREGATORS[name] = { args, aggregate };
+}
+
+function columnIsDuration(rows, column) {
+  return rows.some((r) => isDuration(r[column]));
+}
+
+// Durations are handled as seconds, everything else through Number()
+function numericValue(value) {
+  return isDuration(value) ? parseDuration(value) : Number(value) || 0;
+}
+
+// Same "0.00" style the queries use for percentages
+function formatDecimal(value) {
+  return value.toFixed(2);
+}
+
+// An operand is a column or a product of columns ("Promedio*Cantidad")
+function operandValue(row, operand) {
+  return operand
+    .split("*")
+    .reduce((acc, column) => acc * numericValue(row[column.trim()]), 1);
+}
+
+function operandIsDuration(rows, operand) {
+  return operand.split("*").some((column) => columnIsDuration(rows, column.trim()));
+}
+
+function operandColumns(operand) {
+  return operand.split("*").map((column) => column.trim());
+}
+
+function pickBy(rows, column, better) {
+  let best = null;
+  for (const row of rows) {
+    const value = row[column];
+    if (value === undefined || value === null || value === "") continue;
+    if (best === null || better(numericValue(value), numericValue(best))) {
+      best = value;
+    }
+  }
+  return best === null ? "" : best;
+}
+
+registerAggregator("sum", {
+  aggregate: (rows, column) =>
+    rows.reduce((acc, r) => acc + (Number(r[column]) || 0), 0),
+});
+
+registerAggregator("duration_sum", {
+  aggregate: (rows, column) =>
+    formatDuration(rows.reduce((acc, r) => acc + parseDuration(r[column]), 0)),
+});
+
+// Average of `column` weighted by another column, e.g. a monthly average
+// weighted by the monthly ticket count.
+registerAggregator("weighted_avg", {
+  args: [1, 1],
+  aggregate: (rows, column, [weightColumn]) => {
+    let total = 0;
+    let weights = 0;
+    for (const r of rows) {
+      const weight = Number(r[weightColumn]) || 0;
+      total += numericValue(r[column]) * weight;
+      weights += weight;
+    }
+    const avg = weights > 0 ? total / weights : 0;
+    return columnIsDuration(rows, column) ? formatDuration(avg) : formatDecimal(avg);
+  },
+});
+
+// Total of the numerator over total of the denominator, times `scale`.
+// A duration over a count is a duration; anything else is a decimal.
+registerAggregator("ratio", {
+  args: [2, 3],
+  aggregate: (rows, column, [numerator, denominator, scale = "1"]) => {
+    const num = rows.reduce((acc, r) => acc + operandValue(r, numerator), 0);
+    const den = rows.reduce((acc, r) => acc + operandValue(r, denominator), 0);
+    const value = den !== 0 ? (num / den) * Number(scale) : 0;
+
+    if (operandIsDuration(rows, numerator) && !operandIsDuration(rows, denominator)) {
+      return formatDuration(value);
+    }
+    return formatDecimal(value);
+  },
+});
+
+registerAggregator("min", {
+  aggregate: (rows, column) => pickBy(rows, column, (a, b) => a < b),
+});
+
+registerAggregator("max", {
+  aggregate: (rows, column) => pickBy(rows, column, (a, b) => a > b),
+});
+
+registerAggregator("count_distinct", {
+  aggregate: (rows, column) =>
+    new Set(
+      rows
+        .map((r) => r[column])
+        .filter((v) => v !== undefined && v !== null && v !== "")
+    ).size,
+});
+
+registerAggregator("first", {
+  aggregate: (rows, column) => (rows.length > 0 ? rows[0][column] : ""),
+});
+
+// Averages, percentages and ratios are never summed, whatever their values
+const NOT_A_COUNT_RE = /promedio|porcentaje|ratio|tasa|avg|pct/i;
+
+// Whether an undeclared column can be summed: whole numbers (or blanks) in a
+// column not named like an average, percentage or ratio
+function isCountColumn(rows, column) {
+  return (
+    !NOT_A_COUNT_RE.test(column) &&
+    rows.every((r) => Number.isInteger(Number(r[column] == null ? 0 : r[column])))
+  );
+}
+
+// Default for undeclared columns: sum of counts, else empty
+function defaultAggregate(rows, column) {
+  if (isCountColumn(rows, column)) {
+    return rows.reduce((acc, r) => acc + (Number(r[column]) || 0), 0);
+  }
+  return ""; // Leave text, averages and percentages empty
+}
+
+// Columns of `columns` with figures (numbers or durations) that are left
+// empty for lack of a declared aggregator in `spec`, for the caller to warn
+// about
+function unaggregatedColumns(rows, columns, spec) {
+  return columns.filter(
+    (column) =>
+      !spec[column] &&
+      !isCountColumn(rows, column) &&
+      rows.some((r) => {
+        const value = r[column];
+        if (value === undefined || value === null || value === "") return false;
+        return isDuration(value) || !isNaN(Number(value));
+      })
+  );
+}
+
+// Splits on commas that are not inside parentheses
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const ch of text) {
+    if (ch === "(") depth++;
+    if (ch === ")") depth--;
+    if (ch === "," && depth === 0) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts.map((p) => p.trim()).filter(Boolean);
+}
+
+const ENTRY_RE = /^(\w+)\s*=\s*(\w+)\s*(?:\((.*)\))?$/;
+
+// "A=sum, B=weighted_avg(C)" -> { A: { aggregator: "sum", args: [] }, B: ... }
+function parseColumnSpec(text) {
+  const spec = {};
+
+  for (const entry of splitTopLevel(text)) {
+    const match = ENTRY_RE.exec(entry);
+    if (!match) {
+      throw new Error(`Invalid column aggregator '${entry}' (expected Column=aggregator)`);
+    }
+    const [, column, aggregator, rawArgs] = match;
+    const def = AGGREGATORS[aggregator];
+    if (!def) {
+      throw new Error(
+        `Unknown aggregator '${aggregator}' for ${column} (expected one of ${Object.keys(
+          AGGREGATORS
+        ).join(", ")})`
+      );
+    }
+    const args = rawArgs ? splitTopLevel(rawArgs) : [];
+    if (args.length < def.args[0] || args.length > def.args[1]) {
+      throw new Error(
+        `${aggregator} for ${column} takes ${def.args.join(" to ")} argument(s), got ${args.length}`
+      );
+    }
+    spec[column] = { aggregator, args };
+  }
+
+  return spec;
+}
+
+// Columns a spec refers to, either as target or as argument
+function specColumns(spec) {
+  const columns = [];
+  for (const [column, { aggregator, args }] of Object.entries(spec)) {
+    columns.push(column);
+    if (aggregator === "weighted_avg") columns.push(args[0]);
+    if (aggregator === "ratio") {
+      columns.push(...operandColumns(args[0]), ...operandColumns(args[1]));
+    }
+  }
+  return [...new Set(columns)];
+}
+
+function aggregateColumn(rows, column, spec) {
+  const entry = spec[column];
+  if (!entry) return defaultAggregate(rows, column);
+  return AGGREGATORS[entry.aggregator].aggregate(rows, column, entry.args);
+}
+
+module.exports = {
+  AGGREGATORS,
+  registerAggregator,
+  parseColumnSpec,
+  specColumns,
+  aggregateColumn,
+  unaggregatedColumns,
+};
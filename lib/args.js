@@ -0,0 +1,23 @@
+// Minimal command line flag helpers ("--name value").
+
+function getFlag(argv, name) {
+  const index = argv.indexOf(name);
+  if (index === -1) return undefined;
+  const value = argv[index + 1];
+  if (value === undefined || value.startsWith("--")) {
+    throw new Error(`${name} requires a value`);
+  }
+  return value;
+}
+
+// "--units 1,3,Pierre Mundo Imperial" -> ["1", "3", "Pierre Mundo Imperial"]
+function getListFlag(argv, name) {
+  const value = getFlag(argv, name);
+  if (value === undefined) return undefined;
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+module.exports = { getFlag, getListFlag };
@@ -0,0 +1,115 @@
+// Typed cells for the generated sheets. The queries return durations as
+// "HH:MM:SS" strings and percentages as "25.64", which Excel treats as text;
+// here every column gets a kind and values are converted to real numbers
+// with a matching number format.
+
+const { parseDuration, formatDuration, isDuration } = require("./duration");
+
+const KINDS = ["text", "integer", "number", "percent", "duration"];
+
+// Number formats of the cell kinds: the column kinds, plus durationDelta,
+// the signed change of a duration (see deltas.js)
+const NUMBER_FORMATS = {
+  integer: "0",
+  number: "0.00",
+  percent: "0.00%",
+  // Day fraction; [h] keeps counting past 24 hours
+  duration: "[h]:mm:ss",
+  // Signed day fraction; Excel can't show negative times, so the negative
+  // section formats the absolute value behind a "-"
+  durationDelta: "+[h]:mm:ss;-[h]:mm:ss",
+};
+
+const SECONDS_PER_DAY = 86400;
+
+function isBlank(value) {
+  return value === undefined || value === null || value === "";
+}
+
+function isNumeric(value) {
+  return !isBlank(value) && typeof value !== "boolean" && !isNaN(Number(value));
+}
+
+// Kind of a column from its name and values. Percentages are recognised by
+// name because the values ("25.64") look like any other decimal.
+function columnKind(column, values) {
+  const present = values.filter((v) => !isBlank(v));
+  if (present.length === 0) return "text";
+
+  if (/porcentaje/i.test(column) && present.every(isNumeric)) return "percent";
+  if (present.some(isDuration) && present.every((v) => isDuration(v) || Number(v) === 0)) {
+    return "duration";
+  }
+  if (present.every(isNumeric)) {
+    return present.every((v) => Number.isInteger(Number(v))) ? "integer" : "number";
+  }
+  return "text";
+}
+
+function columnKinds(rows, keys) {
+  const kinds = {};
+  for (const key of keys) {
+    kinds[key] = columnKind(
+      key,
+      rows.map((r) => r[key])
+    );
+  }
+  return kinds;
+}
+
+// Converts a value to a { value, kind } pair with the numeric value Excel
+// should store. Values that don't fit the column kind (e.g. the "Acumulado"
+// label in a key column) fall back to text or a plain number.
+function typedValue(value, kind) {
+  if (isBlank(value)) return { value: "", kind: "text" };
+
+  switch (kind) {
+    case "duration":
+      if (isDuration(value) || Number(value) === 0) {
+        return { value: parseDuration(String(value)) / SECONDS_PER_DAY, kind };
+      }
+      break;
+    case "percent":
+      if (isNumeric(value)) return { value: Number(value) / 100, kind };
+      break;
+    case "integer":
+    case "number":
+      if (isNumeric(value)) return { value: Number(value), kind };
+      break;
+    default:
+      break;
+  }
+
+  if (typeof value === "number") {
+    return { value, kind: Number.isInteger(value) ? "integer" : "number" };
+  }
+  return { value: String(value), kind: "text" };
+}
+
+// Back from a typed cell to the value the queries returned: durations as
+// "HH:MM:SS", percentages in percent units ("25.64"). Used by the text
+// outputs (CSV, NDJSON, HTML), which have no number formats.
+function plainValue(cell) {
+  switch (cell.kind) {
+    case "duration":
+      return formatDuration(Math.round(cell.value * SECONDS_PER_DAY));
+    case "durationDelta": {
+      const seconds = Math.round(cell.value * SECONDS_PER_DAY);
+      return `${seconds < 0 ? "-" : "+"}${formatDuration(Math.abs(seconds))}`;
+    }
+    case "percent":
+      return Number((cell.value * 100).toFixed(4));
+    default:
+      return cell.value;
+  }
+}
+
+module.exports = {
+  KINDS,
+  NUMBER_FORMATS,
+  SECONDS_PER_DAY,
+  columnKind,
+  columnKinds,
+  typedValue,
+  plainValue,
+};
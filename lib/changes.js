@@ -0,0 +1,52 @@
+// "Cambios" sheet (build --changes): what changed in the workbook's files
+// since the previous extract, from the row diffs of diff.js. One line per
+// added or removed row and per changed value, grouped by section.
+
+const { typedValue } = require("./cells");
+
+const CHANGES_SHEET_NAME = "Cambios";
+
+const CHANGE_LABELS = {
+  added: "Fila nueva",
+  removed: "Fila eliminada",
+  changed: "Valor cambiado",
+};
+
+const text = (value) => typedValue(value === null ? "" : value, "text");
+
+// `results` as returned by diffDirectories; `oldLabel` / `newLabel` name
+// the two extracts compared (snapshot names or folders).
+function buildChangesLayout(results, oldLabel, newLabel) {
+  const rows = [
+    { role: "title", cells: [text(`CAMBIOS: ${oldLabel} -> ${newLabel}`)] },
+    { role: "spacer", cells: [] },
+  ];
+
+  const withChanges = results.filter(
+    (r) => r.added.length + r.removed.length + r.changed.length > 0
+  );
+  if (withChanges.length === 0) {
+    rows.push({ role: "data", cells: [text("Sin cambios")] });
+    return { rows, pivotBlocks: [] };
+  }
+
+  rows.push({
+    role: "header",
+    cells: ["Sección", "Clave", "Cambio", "Columna", "Antes", "Después"].map(text),
+  });
+  const line = (result, key, change, column = "", before = "", after = "") => ({
+    role: "data",
+    cells: [result.section, key, CHANGE_LABELS[change], column, before, after].map(text),
+  });
+
+  for (const result of withChanges) {
+    for (const { key } of result.added) rows.push(line(result, key, "added"));
+    for (const { key } of result.removed) rows.push(line(result, key, "removed"));
+    for (const { key, column, before, after } of result.changed) {
+      rows.push(line(result, key, "changed", column, before, after));
+    }
+  }
+  return { rows, pivotBlocks: [] };
+}
+
+module.exports = { CHANGES_SHEET_NAME, buildChangesLayout };
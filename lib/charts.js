@@ -0,0 +1,312 @@
+// Native Excel charts for the COMPARATIVA blocks. exceljs cannot write
+// charts, so they are added afterwards: the written .xlsx package is opened
+// and a drawing with one DrawingML chart per block is attached to each sheet.
+// Charts reference the sheet cells, so they follow later edits to the numbers.
+
+const JSZip = require("jszip");
+
+const NS_CHART = "http://schemas.openxmlformats.org/drawingml/2006/chart";
+const NS_MAIN = "http://schemas.openxmlformats.org/drawingml/2006/main";
+const NS_REL = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const NS_PKG_REL = "http://schemas.openxmlformats.org/package/2006/relationships";
+const NS_SS_DRAWING =
+  "http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing";
+
+const REL_DRAWING = `${NS_REL}/drawing`;
+const REL_CHART = `${NS_REL}/chart`;
+const CT_DRAWING = "application/vnd.openxmlformats-officedocument.drawing+xml";
+const CT_CHART = "application/vnd.openxmlformats-officedocument.drawingml.chart+xml";
+
+// Chart width in columns; height follows the block it plots
+const CHART_WIDTH_COLS = 8;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+function columnName(index) {
+  let name = "";
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    name = String.fromCharCode(65 + rem) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+// Absolute reference to a cell range, rows and columns 0-based
+function rangeRef(sheetName, col, firstRow, lastRow = firstRow) {
+  const sheet = `'${sheetName.replace(/'/g, "''")}'`;
+  const c = columnName(col);
+  if (firstRow === lastRow) return `${sheet}!$${c}$${firstRow + 1}`;
+  return `${sheet}!$${c}$${firstRow + 1}:$${c}$${lastRow + 1}`;
+}
+
+// Counts get clustered columns; times and percentages get lines.
+// `block` describes a COMPARATIVA table as laid out in the sheet:
+// { metric, kind, titleRow, headerRow, firstDataRow, lastDataRow, seriesCount }
+// with 0-based rows; column A holds the months, series start in column B.
+function chartForPivotBlock(block) {
+  const isLine = block.kind === "duration" || block.kind === "percent";
+  const numFmt =
+    block.kind === "duration" ? "[h]:mm" : block.kind === "percent" ? "0%" : "General";
+
+  const series = [];
+  for (let i = 0; i < block.seriesCount; i++) {
+    series.push({
+      nameRow: block.headerRow,
+      col: i + 1,
+      firstRow: block.firstDataRow,
+      lastRow: block.lastDataRow,
+    });
+  }
+
+  return {
+    title: block.metric.replace(/_/g, " "),
+    type: isLine ? "line" : "bar",
+    numFmt,
+    categories: { col: 0, firstRow: block.firstDataRow, lastRow: block.lastDataRow },
+    series,
+    anchor: {
+      fromCol: block.seriesCount + 2,
+      fromRow: block.titleRow,
+      toCol: block.seriesCount + 2 + CHART_WIDTH_COLS,
+      // Down to the TOTAL row, so stacked blocks never overlap
+      toRow: block.lastDataRow + 2,
+    },
+  };
+}
+
+function seriesXml(sheetName, chart, s, index) {
+  const marker =
+    chart.type === "line" ? '<c:marker><c:symbol val="circle"/><c:size val="5"/></c:marker>' : "";
+  const tail = chart.type === "line" ? '<c:smooth val="0"/>' : "";
+  const invert = chart.type === "bar" ? '<c:invertIfNegative val="0"/>' : "";
+  return (
+    `<c:ser><c:idx val="${index}"/><c:order val="${index}"/>` +
+    `<c:tx><c:strRef><c:f>${escapeXml(rangeRef(sheetName, s.col, s.nameRow))}</c:f></c:strRef></c:tx>` +
+    marker +
+    invert +
+    `<c:cat><c:strRef><c:f>${escapeXml(
+      rangeRef(sheetName, chart.categories.col, chart.categories.firstRow, chart.categories.lastRow)
+    )}</c:f></c:strRef></c:cat>` +
+    `<c:val><c:numRef><c:f>${escapeXml(
+      rangeRef(sheetName, s.col, s.firstRow, s.lastRow)
+    )}</c:f></c:numRef></c:val>` +
+    tail +
+    `</c:ser>`
+  );
+}
+
+function chartXml(sheetName, chart) {
+  const series = chart.series.map((s, i) => seriesXml(sheetName, chart, s, i)).join("");
+  const axes = '<c:axId val="500000001"/><c:axId val="500000002"/>';
+
+  const plot =
+    chart.type === "line"
+      ? `<c:lineChart><c:grouping val="standard"/><c:varyColors val="0"/>${series}<c:marker val="1"/>${axes}</c:lineChart>`
+      : `<c:barChart><c:barDir val="col"/><c:grouping val="clustered"/><c:varyColors val="0"/>${series}<c:gapWidth val="150"/>${axes}</c:barChart>`;
+
+  return (
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+    `<c:chartSpace xmlns:c="${NS_CHART}" xmlns:a="${NS_MAIN}" xmlns:r="${NS_REL}">` +
+    `<c:roundedCorners val="0"/><c:chart>` +
+    `<c:title><c:tx><c:rich><a:bodyPr/><a:p><a:r><a:t>${escapeXml(
+      chart.title
+    )}</a:t></a:r></a:p></c:rich></c:tx><c:overlay val="0"/></c:title>` +
+    `<c:autoTitleDeleted val="0"/><c:plotArea><c:layout/>${plot}` +
+    `<c:catAx><c:axId val="500000001"/><c:scaling><c:orientation val="minMax"/></c:scaling>` +
+    `<c:delete val="0"/><c:axPos val="b"/><c:numFmt formatCode="General" sourceLinked="0"/>` +
+    `<c:tickLblPos val="nextTo"/><c:crossAx val="500000002"/><c:crosses val="autoZero"/>` +
+    `<c:auto val="1"/><c:lblAlgn val="ctr"/><c:lblOffset val="100"/></c:catAx>` +
+    `<c:valAx><c:axId val="500000002"/><c:scaling><c:orientation val="minMax"/></c:scaling>` +
+    `<c:delete val="0"/><c:axPos val="l"/><c:majorGridlines/>` +
+    `<c:numFmt formatCode="${escapeXml(chart.numFmt)}" sourceLinked="0"/>` +
+    `<c:tickLblPos val="nextTo"/><c:crossAx val="500000001"/><c:crosses val="autoZero"/>` +
+    `<c:crossBetween val="between"/></c:valAx></c:plotArea>` +
+    `<c:legend><c:legendPos val="b"/><c:overlay val="0"/></c:legend>` +
+    `<c:plotVisOnly val="1"/><c:dispBlanksAs val="gap"/></c:chart></c:chartSpace>`
+  );
+}
+
+function anchorXml(chart, index) {
+  const { fromCol, fromRow, toCol, toRow } = chart.anchor;
+  return (
+    `<xdr:twoCellAnchor editAs="oneCell">` +
+    `<xdr:from><xdr:col>${fromCol}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${fromRow}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:from>` +
+    `<xdr:to><xdr:col>${toCol}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${toRow}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:to>` +
+    `<xdr:graphicFrame macro=""><xdr:nvGraphicFramePr><xdr:cNvPr id="${index + 2}" name="Chart ${
+      index + 1
+    }"/><xdr:cNvGraphicFramePr/></xdr:nvGraphicFramePr>` +
+    `<xdr:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></xdr:xfrm>` +
+    `<a:graphic><a:graphicData uri="${NS_CHART}"><c:chart xmlns:c="${NS_CHART}" xmlns:r="${NS_REL}" r:id="rId${
+      index + 1
+    }"/></a:graphicData></a:graphic></xdr:graphicFrame><xdr:clientData/></xdr:twoCellAnchor>`
+  );
+}
+
+function drawingXml(charts) {
+  return (
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+    `<xdr:wsDr xmlns:xdr="${NS_SS_DRAWING}" xmlns:a="${NS_MAIN}">` +
+    charts.map(anchorXml).join("") +
+    `</xdr:wsDr>`
+  );
+}
+
+function relationshipsXml(relationships) {
+  return (
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+    `<Relationships xmlns="${NS_PKG_REL}">` +
+    relationships
+      .map((r) => `<Relationship Id="${r.id}" Type="${r.type}" Target="${escapeXml(r.target)}"/>`)
+      .join("") +
+    `</Relationships>`
+  );
+}
+
+// Map of sheet name -> worksheet part path ("xl/worksheets/sheet1.xml")
+async function sheetParts(zip) {
+  const workbook = await zip.file("xl/workbook.xml").async("string");
+  const rels = await zip.file("xl/_rels/workbook.xml.rels").async("string");
+
+  const targets = {};
+  for (const m of rels.matchAll(/<Relationship\b[^>]*>/g)) {
+    const id = /\bId="([^"]+)"/.exec(m[0]);
+    const target = /\bTarget="([^"]+)"/.exec(m[0]);
+    if (id && target) targets[id[1]] = unescapeXml(target[1]);
+  }
+
+  const parts = {};
+  for (const m of workbook.matchAll(/<sheet\b[^>]*>/g)) {
+    const name = /\bname="([^"]*)"/.exec(m[0]);
+    const rid = /\br:id="([^"]+)"/.exec(m[0]);
+    if (!name || !rid || !targets[rid[1]]) continue;
+    const target = targets[rid[1]];
+    parts[unescapeXml(name[1])] = target.startsWith("/")
+      ? target.slice(1)
+      : `xl/${target}`;
+  }
+  return parts;
+}
+
+// Elements that must come after <drawing> in a worksheet (CT_Worksheet order)
+const AFTER_DRAWING = [
+  "legacyDrawing",
+  "legacyDrawingHF",
+  "drawingHF",
+  "picture",
+  "oleObjects",
+  "controls",
+  "webPublishItems",
+  "tableParts",
+  "extLst",
+];
+
+function insertDrawingElement(sheetXml, relId) {
+  const element = `<drawing r:id="${relId}"/>`;
+  let index = -1;
+  for (const tag of AFTER_DRAWING) {
+    const i = sheetXml.indexOf(`<${tag}`);
+    if (i !== -1 && (index === -1 || i < index)) index = i;
+  }
+  if (index === -1) index = sheetXml.lastIndexOf("</worksheet>");
+
+  let xml = sheetXml.slice(0, index) + element + sheetXml.slice(index);
+  if (!/<worksheet\b[^>]*xmlns:r=/.test(xml)) {
+    xml = xml.replace("<worksheet", `<worksheet xmlns:r="${NS_REL}"`);
+  }
+  return xml;
+}
+
+// Adds the charts to an .xlsx package and returns the new package.
+// `chartsBySheet` maps sheet names to lists of charts (see chartForPivotBlock).
+async function addChartsToWorkbook(buffer, chartsBySheet) {
+  const entries = Object.entries(chartsBySheet).filter(([, charts]) => charts.length > 0);
+  if (entries.length === 0) return buffer;
+
+  const zip = await JSZip.loadAsync(buffer);
+  const parts = await sheetParts(zip);
+  let contentTypes = await zip.file("[Content_Types].xml").async("string");
+  const overrides = [];
+
+  // Continue after any drawings/charts the package already has
+  let drawingNumber = 0;
+  while (zip.file(`xl/drawings/drawing${drawingNumber + 1}.xml`)) drawingNumber++;
+  let chartNumber = 0;
+  while (zip.file(`xl/charts/chart${chartNumber + 1}.xml`)) chartNumber++;
+
+  for (const [sheetName, charts] of entries) {
+    const sheetPath = parts[sheetName];
+    if (!sheetPath) throw new Error(`Sheet '${sheetName}' not found for charts`);
+
+    drawingNumber++;
+    const drawingPath = `xl/drawings/drawing${drawingNumber}.xml`;
+    const drawingRels = [];
+
+    charts.forEach((chart, i) => {
+      chartNumber++;
+      const chartPath = `xl/charts/chart${chartNumber}.xml`;
+      zip.file(chartPath, chartXml(sheetName, chart));
+      overrides.push({ path: chartPath, type: CT_CHART });
+      drawingRels.push({
+        id: `rId${i + 1}`,
+        type: REL_CHART,
+        target: `../charts/chart${chartNumber}.xml`,
+      });
+    });
+
+    zip.file(drawingPath, drawingXml(charts));
+    zip.file(
+      `xl/drawings/_rels/drawing${drawingNumber}.xml.rels`,
+      relationshipsXml(drawingRels)
+    );
+    overrides.push({ path: drawingPath, type: CT_DRAWING });
+
+    // Link the drawing from the sheet, keeping any relationships it has
+    const sheetDir = sheetPath.slice(0, sheetPath.lastIndexOf("/"));
+    const sheetFile = sheetPath.slice(sheetPath.lastIndexOf("/") + 1);
+    const relsPath = `${sheetDir}/_rels/${sheetFile}.rels`;
+    let relsXml = zip.file(relsPath)
+      ? await zip.file(relsPath).async("string")
+      : relationshipsXml([]);
+
+    let n = 1;
+    while (relsXml.includes(`Id="rIdDrawing${n}"`)) n++;
+    const relId = `rIdDrawing${n}`;
+    relsXml = relsXml.replace(
+      "</Relationships>",
+      `<Relationship Id="${relId}" Type="${REL_DRAWING}" Target="../drawings/drawing${drawingNumber}.xml"/></Relationships>`
+    );
+    zip.file(relsPath, relsXml);
+
+    const sheetXml = await zip.file(sheetPath).async("string");
+    zip.file(sheetPath, insertDrawingElement(sheetXml, relId));
+  }
+
+  contentTypes = contentTypes.replace(
+    "</Types>",
+    overrides
+      .map((o) => `<Override PartName="/${o.path}" ContentType="${o.type}"/>`)
+      .join("") + "</Types>"
+  );
+  zip.file("[Content_Types].xml", contentTypes);
+
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+module.exports = { chartForPivotBlock, addChartsToWorkbook };
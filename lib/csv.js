@@ -0,0 +1,65 @@
+// CSV as written by csvWriter.js and read back from fixtures (see
+// fixtureSource.js): comma separated, fields with commas, quotes or line
+// breaks quoted, quotes doubled.
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of fields; blank lines are skipped
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  const endField = () => {
+    row.push(field);
+    field = "";
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n") {
+      endRow();
+    } else if (char !== "\r") {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) endRow();
+  return rows;
+}
+
+// Objects keyed by the header row; a UTF-8 byte order mark is ignored
+function parseCsvObjects(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!header) return [];
+  return rows.map((fields) => {
+    const row = {};
+    header.forEach((column, index) => {
+      row[column] = fields[index] === undefined ? "" : fields[index];
+    });
+    return row;
+  });
+}
+
+module.exports = { csvField, parseCsv, parseCsvObjects };
@@ -0,0 +1,48 @@
+// Writes sheet layouts (see xlsxWriter.js) as CSV, one file per sheet in a
+// folder named after the workbook: Output/General/TICKETS_GENERAL.csv. The
+// blocks of a sheet follow each other as in the workbook: titles are one
+// cell rows and spacers empty lines. Values are the ones the queries
+// returned (see cells.plainValue), UTF-8 and comma separated.
+
+const fs = require("fs");
+const path = require("path");
+const { plainValue } = require("./cells");
+const { createFileWriter } = require("./rowFiles");
+const { csvField } = require("./csv");
+
+const CSV_EXTENSION = ".csv";
+
+async function writeSheetCsv(sheet, file) {
+  const output = createFileWriter(file);
+  try {
+    for await (const row of sheet.rows) {
+      const line = row.cells.map((cell) => csvField(plainValue(cell))).join(",");
+      await output.write(line + "\r\n");
+    }
+    await output.close();
+  } catch (err) {
+    output.abort();
+    throw err;
+  }
+}
+
+// CSV files in `outputDir` left by an earlier build for sheets that are
+// gone (e.g. a section was removed) are deleted, so the folder always
+// matches the workbook.
+async function writeCsvFiles(sheets, outputDir) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  const written = new Set();
+  for (const sheet of sheets) {
+    const fileName = `${sheet.name}${CSV_EXTENSION}`;
+    await writeSheetCsv(sheet, path.join(outputDir, fileName));
+    written.add(fileName);
+  }
+
+  for (const fileName of fs.readdirSync(outputDir)) {
+    if (fileName.endsWith(CSV_EXTENSION) && !written.has(fileName)) {
+      fs.rmSync(path.join(outputDir, fileName));
+    }
+  }
+}
+
+module.exports = { writeCsvFiles };
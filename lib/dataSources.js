@@ -0,0 +1,49 @@
+// Where the extract gets its rows (--source). Every source has the same
+// shape, so process_queries.js does not care which one it talks to:
+//
+//   listUnits()               [{ id, name }] of the `unidad` table
+//   listDepartments()         [{ id, name }] of the `departamentos` table
+//   runSection(job, writer)   runs one section for one binding and writes
+//                             its rows with writer.write(row); `job` is
+//                             { sql, values, timeoutMs, file, section,
+//                             binding }, `file` the output path relative to
+//                             the extract directory, without extension
+//   isTransientError(err)     whether a failed runSection is worth retrying
+//   end()                     releases connections
+//
+//   mysql     the production database (.env), see db.js
+//   fixtures  rows copied from files laid out like Input/, see
+//             fixtureSource.js
+//   sqlite    the real queries on an embedded, seeded SQLite database, see
+//             sqliteSource.js
+//
+// Sources are required when picked, so mysql2 or sql.js only load when used.
+
+const DATA_SOURCES = {
+  mysql: (options) => require("./db").createMysqlSource(options),
+  fixtures: (options) => require("./fixtureSource").createFixtureSource(options),
+  sqlite: (options) => require("./sqliteSource").createSqliteSource(options),
+};
+
+const DEFAULT_SOURCE = "mysql";
+
+function parseSource(name) {
+  const source = name.toLowerCase();
+  if (!DATA_SOURCES[source]) {
+    throw new Error(
+      `Unknown data source '${name}' (expected ${Object.keys(DATA_SOURCES).join(", ")})`
+    );
+  }
+  return source;
+}
+
+function createDataSource(options) {
+  return DATA_SOURCES[options.source || DEFAULT_SOURCE](options);
+}
+
+module.exports = {
+  DATA_SOURCES,
+  DEFAULT_SOURCE,
+  parseSource,
+  createDataSource,
+};
@@ -0,0 +1,120 @@
+// MySQL data source for the extract (--source mysql, the default; see
+// dataSources.js). Sections and units are run in parallel (--concurrency),
+// each on its own pooled connection so session settings like
+// lc_time_names stay with the statements that need them.
+
+const mysql = require("mysql2/promise");
+const { prepareStatements } = require("./queryFile");
+
+// Errors worth retrying: the connection went away or the server was busy.
+// Query timeouts are not retried, the same query would most likely hang again.
+const TRANSIENT_ERROR_CODES = [
+  "PROTOCOL_CONNECTION_LOST",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "ER_CON_COUNT_ERROR",
+  "ER_LOCK_DEADLOCK",
+  "ER_LOCK_WAIT_TIMEOUT",
+];
+
+function isTransientError(err) {
+  return TRANSIENT_ERROR_CODES.includes(err && err.code);
+}
+
+function createPool(concurrency) {
+  return mysql.createPool({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USERNAME,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_DATABASE,
+    port: process.env.DB_PORT,
+    connectionLimit: concurrency,
+    waitForConnections: true,
+  });
+}
+
+// Runs `fn(connection)` on a pooled connection. After an error the
+// connection is discarded rather than returned: a timed out query may still
+// be running on it.
+async function withConnection(pool, fn) {
+  const connection = await pool.getConnection();
+  let result;
+  try {
+    result = await fn(connection);
+  } catch (err) {
+    connection.destroy();
+    throw err;
+  }
+  connection.release();
+  return result;
+}
+
+// Runs every statement of a section on the same connection (so session
+// settings like lc_time_names apply) and streams the rows of the last one
+// into `writer` (see lib/rowFiles.js), so large results never sit in memory.
+// Statements with placeholders go through execute() as prepared statements.
+// `timeoutMs` applies to each statement (0 or undefined: no limit).
+async function runStatements(connection, sql, values, timeoutMs, writer) {
+  const timeout = timeoutMs || undefined;
+  const statements = prepareStatements(sql, values);
+
+  for (const [index, statement] of statements.entries()) {
+    const query = { sql: statement.sql, timeout };
+    const isLast = index === statements.length - 1;
+
+    if (!isLast) {
+      if (statement.args.length > 0) {
+        await connection.execute(query, statement.args);
+      } else {
+        await connection.query(query);
+      }
+      continue;
+    }
+
+    // Row streams live on the underlying (callback) connection
+    const command =
+      statement.args.length > 0
+        ? connection.connection.execute(query, statement.args)
+        : connection.connection.query(query);
+    for await (const row of command.stream()) {
+      await writer.write(row);
+    }
+  }
+}
+
+function createMysqlSource(options) {
+  const pool = createPool(options.concurrency);
+
+  return {
+    name: "mysql",
+    async listUnits() {
+      const [rows] = await pool.query(
+        "SELECT idUnidad, nombreUnidad FROM unidad ORDER BY idUnidad"
+      );
+      return rows.map((u) => ({ id: u.idUnidad, name: u.nombreUnidad }));
+    },
+    async listDepartments() {
+      const [rows] = await pool.query(
+        "SELECT id_departamento, nombre_departamento FROM departamentos ORDER BY id_departamento"
+      );
+      return rows.map((d) => ({ id: d.id_departamento, name: d.nombre_departamento }));
+    },
+    runSection(job, writer) {
+      return withConnection(pool, (connection) =>
+        runStatements(connection, job.sql, job.values, job.timeoutMs, writer)
+      );
+    },
+    isTransientError,
+    end: () => pool.end(),
+  };
+}
+
+module.exports = {
+  TRANSIENT_ERROR_CODES,
+  isTransientError,
+  createPool,
+  withConnection,
+  createMysqlSource,
+};
@@ -0,0 +1,124 @@
+// Change tables for the COMPARATIVA metrics (--deltas): for each metric a
+// "VARIACIÓN MENSUAL" block with every month against the one before and,
+// when last year's data is available (extract --previous-year, or
+// --previous-input), a "VARIACIÓN ANUAL" block against the same month a
+// year earlier. Each unit (or value of the report's "-- @pivotBy" column
+// key) gets two columns: the absolute change and the change in percent of
+// the earlier value. Durations are compared in seconds and their change
+// written as a signed day fraction ("durationDelta" cells, shown as
+// "+H:MM:SS" / "-H:MM:SS"), so it can be sorted and summed like the rest.
+//
+// The rows are layout rows (see xlsxWriter.js), appended to the sheet after
+// the COMPARATIVA blocks.
+
+const { parseDuration } = require("./duration");
+const { SECONDS_PER_DAY, typedValue } = require("./cells");
+const { shiftMonthLabel } = require("./period");
+
+const COMPARISONS = [
+  { title: "VARIACIÓN MENSUAL", months: -1, needsPrevious: false },
+  { title: "VARIACIÓN ANUAL", months: -12, needsPrevious: true },
+];
+
+const BLANK = { value: "", kind: "text" };
+
+// "Mes_Anio|Nombre_Unidad" (or the column key) -> row
+function indexRows(data, columnKey) {
+  const index = new Map();
+  for (const row of data || []) {
+    index.set(`${row.Mes_Anio}|${row[columnKey]}`, row);
+  }
+  return index;
+}
+
+function numericValue(value, kind) {
+  if (value === undefined || value === null || value === "") return null;
+  if (kind === "duration") return parseDuration(String(value));
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+}
+
+// [absolute change, change in percent] cells
+function changeCells(current, previous, kind) {
+  if (current === null || previous === null) return [BLANK, BLANK];
+  const diff = current - previous;
+
+  let absolute;
+  if (kind === "duration") {
+    absolute = { value: diff / SECONDS_PER_DAY, kind: "durationDelta" };
+  } else if (Number.isInteger(diff)) {
+    absolute = { value: diff, kind: "integer" };
+  } else {
+    absolute = { value: Number(diff.toFixed(2)), kind: "number" };
+  }
+
+  // No percentage against zero
+  const relative = previous === 0 ? BLANK : typedValue((diff / previous) * 100, "percent");
+  return [absolute, relative];
+}
+
+// `data` and `previousData` are the rows of this year and last year (null
+// without it), `metrics` the pivoted columns, `units` in display order,
+// `months` the "Mes Año" labels of the pivots and `kinds` the column kinds
+// (see cells.js). `units` are the values of `columnKey`. The month before
+// the first one, and last year's months, are looked up in `previousData`.
+function buildDeltaBlocks({
+  data,
+  previousData,
+  metrics,
+  units,
+  months,
+  kinds,
+  columnKey = "Nombre_Unidad",
+}) {
+  const current = indexRows(data, columnKey);
+  const previous = indexRows(previousData, columnKey);
+  const valueAt = (month, unit, metric) => {
+    const key = `${month}|${unit}`;
+    const row = current.get(key) || previous.get(key);
+    return row ? numericValue(row[metric], kinds[metric]) : null;
+  };
+
+  const rows = [];
+  for (const comparison of COMPARISONS) {
+    if (comparison.needsPrevious && !previousData) continue;
+
+    for (const metric of metrics) {
+      rows.push({ role: "spacer", cells: [] });
+      rows.push({
+        role: "title",
+        cells: [{ value: `${comparison.title}: ${metric}`, kind: "text" }],
+      });
+      rows.push({
+        role: "header",
+        cells: [
+          { value: "Mes", kind: "text" },
+          ...units.flatMap((u) => [
+            { value: `${u} Δ`, kind: "text" },
+            { value: `${u} Δ%`, kind: "text" },
+          ]),
+        ],
+      });
+
+      for (const month of months) {
+        const earlier = shiftMonthLabel(month, comparison.months);
+        rows.push({
+          role: "data",
+          cells: [
+            { value: month, kind: "text" },
+            ...units.flatMap((u) =>
+              changeCells(
+                valueAt(month, u, metric),
+                earlier ? valueAt(earlier, u, metric) : null,
+                kinds[metric]
+              )
+            ),
+          ],
+        });
+      }
+    }
+  }
+  return rows;
+}
+
+module.exports = { buildDeltaBlocks };
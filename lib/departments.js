@@ -0,0 +1,158 @@
+// Department drill-down (build --by-department sheets|workbooks): the label
+// report of a unit (ETIQUETAS * UNIDAD * DEPARTAMENTO) split into one view
+// per `departamento`, each with the department's compliance figures from
+// the section its "-- @drilldown" names (DATOS GENERALES * UNIDAD *
+// DEPARTAMENTO, joined on `Departamento`) and its labels ranked with their
+// share of the department's tickets and a Pareto (80/20) cumulative column.
+
+const { typedValue } = require("./cells");
+const { aggregateColumn } = require("./aggregators");
+
+const BY_DEPARTMENT_MODES = ["sheets", "workbooks"];
+
+// Columns the label report has to return
+const LABEL_COLUMNS = ["departamento", "etiqueta", "total_tickets"];
+
+// Labels up to this cumulative share of the tickets are the "vital few"
+const PARETO_SHARE = 80;
+
+const text = (value) => typedValue(value === null ? "" : value, "text");
+const percent = (value) => typedValue(value.toFixed(2), "percent");
+
+function parseByDepartment(value) {
+  if (value === undefined) return null;
+  if (!BY_DEPARTMENT_MODES.includes(value)) {
+    throw new Error(
+      `--by-department must be one of ${BY_DEPARTMENT_MODES.join(", ")} (got '${value}')`
+    );
+  }
+  return value;
+}
+
+// Labels of one department by tickets, with their share and cumulative
+// share of the department's tickets (in percent) and whether they are in
+// the Pareto set: the labels it takes to reach PARETO_SHARE, the one that
+// crosses it included.
+function paretoRows(labels) {
+  const total = labels.reduce((sum, r) => sum + (Number(r.total_tickets) || 0), 0);
+  const sorted = [...labels].sort(
+    (a, b) =>
+      Number(b.total_tickets) - Number(a.total_tickets) ||
+      String(a.etiqueta).localeCompare(String(b.etiqueta), "es")
+  );
+  let cumulative = 0;
+  return sorted.map((row) => {
+    const before = cumulative;
+    const share = total > 0 ? (Number(row.total_tickets) / total) * 100 : 0;
+    cumulative += share;
+    return { row, share, cumulative, pareto: before < PARETO_SHARE };
+  });
+}
+
+// One view per department, in order of tickets: { department, rows }.
+// `labelKinds` / `complianceKinds` are the column kinds of both reports,
+// `spec` the label report's column aggregators (for its TOTAL row), and
+// `compliance` the rows of the compliance report (may be empty).
+function buildDepartmentLayouts({ labels, labelKinds, spec, compliance, complianceKinds }) {
+  const missing = LABEL_COLUMNS.filter((c) => !labels.some((r) => r[c] !== undefined));
+  if (missing.length > 0) {
+    throw new Error(`--by-department needs column(s): ${missing.join(", ")}`);
+  }
+
+  const byDepartment = new Map();
+  for (const row of labels) {
+    const department = String(row.departamento);
+    if (!byDepartment.has(department)) byDepartment.set(department, []);
+    byDepartment.get(department).push(row);
+  }
+  const tickets = (rows) => rows.reduce((sum, r) => sum + (Number(r.total_tickets) || 0), 0);
+  const departments = [...byDepartment.keys()].sort(
+    (a, b) =>
+      tickets(byDepartment.get(b)) - tickets(byDepartment.get(a)) || a.localeCompare(b, "es")
+  );
+
+  // Label columns besides the ones shown as rank, share and Pareto
+  const extraColumns = Object.keys(labelKinds).filter(
+    (c) => !["departamento", "etiqueta", "total_tickets"].includes(c)
+  );
+  const complianceColumns = Object.keys(complianceKinds).filter((c) => c !== "Departamento");
+
+  return departments.map((department) => {
+    const rows = byDepartment.get(department);
+    const layout = [
+      { role: "title", cells: [text(`DEPARTAMENTO: ${department}`)] },
+      { role: "spacer", cells: [] },
+      { role: "title", cells: [text("CUMPLIMIENTO")] },
+    ];
+
+    const figures = compliance.find((r) => String(r.Departamento) === department);
+    if (figures) {
+      layout.push({ role: "header", cells: complianceColumns.map(text) });
+      layout.push({
+        role: "data",
+        cells: complianceColumns.map((c) => ({
+          ...typedValue(figures[c], complianceKinds[c]),
+          column: c,
+        })),
+      });
+    } else {
+      layout.push({ role: "data", cells: [text("Sin datos de cumplimiento")] });
+    }
+
+    layout.push(
+      { role: "spacer", cells: [] },
+      { role: "title", cells: [text("ETIQUETAS (PARETO 80/20)")] },
+      {
+        role: "header",
+        cells: [
+          "Posición",
+          "Etiqueta",
+          "Tickets",
+          ...extraColumns,
+          "% del departamento",
+          "% acumulado",
+          "Pareto 80 %",
+        ].map(text),
+      }
+    );
+    paretoRows(rows).forEach(({ row, share, cumulative, pareto }, index) => {
+      layout.push({
+        role: "data",
+        cells: [
+          typedValue(index + 1, "integer"),
+          text(row.etiqueta),
+          typedValue(row.total_tickets, "integer"),
+          ...extraColumns.map((c) => ({ ...typedValue(row[c], labelKinds[c]), column: c })),
+          percent(share),
+          percent(Math.min(cumulative, 100)),
+          text(pareto ? "Sí" : ""),
+        ],
+      });
+    });
+    layout.push({
+      role: "total",
+      cells: [
+        text("TOTAL"),
+        text(""),
+        typedValue(tickets(rows), "integer"),
+        ...extraColumns.map((c) => ({
+          ...typedValue(aggregateColumn(rows, c, spec), labelKinds[c]),
+          column: c,
+        })),
+        percent(100),
+        text(""),
+        text(""),
+      ],
+    });
+
+    return { department, rows: layout };
+  });
+}
+
+module.exports = {
+  BY_DEPARTMENT_MODES,
+  PARETO_SHARE,
+  parseByDepartment,
+  paretoRows,
+  buildDepartmentLayouts,
+};
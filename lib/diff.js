@@ -0,0 +1,152 @@
+// Row level differences between two extracts (snapshots, see snapshots.js),
+// file by file. Rows are matched on a key: the section's "-- @key" columns,
+// else Mes_Anio + Nombre_Unidad when the file has them, else its text
+// columns. Matched rows are compared column by column; the rest are added
+// or removed rows.
+
+const fs = require("fs");
+const path = require("path");
+const { columnKinds } = require("./cells");
+const { readRows } = require("./rowFiles");
+const { findSectionForFile } = require("./queryFile");
+const { listRowFiles } = require("./snapshots");
+
+const DEFAULT_KEY = ["Mes_Anio", "Nombre_Unidad"];
+
+async function loadRows(file) {
+  const rows = [];
+  for await (const row of readRows(file)) rows.push(row);
+  return rows;
+}
+
+function keyColumns(rows, declared) {
+  const columns = [...new Set(rows.flatMap((r) => Object.keys(r)))];
+  if (declared) {
+    const missing = declared.filter((c) => !columns.includes(c));
+    if (rows.length > 0 && missing.length > 0) {
+      throw new Error(`@key column(s) not found in data: ${missing.join(", ")}`);
+    }
+    return declared;
+  }
+  if (DEFAULT_KEY.every((c) => columns.includes(c))) return DEFAULT_KEY;
+  const kinds = columnKinds(rows, columns);
+  const text = columns.filter((c) => kinds[c] === "text");
+  return text.length > 0 ? text : columns;
+}
+
+// "Marzo 2025 | Palacio Mundo Imperial" -> row. A key seen again gets
+// " #2", " #3"... so duplicates are matched in order.
+function indexByKey(rows, columns) {
+  const index = new Map();
+  for (const row of rows) {
+    const base = columns
+      .map((c) => (row[c] === undefined || row[c] === null ? "" : String(row[c])))
+      .join(" | ");
+    let key = base;
+    for (let n = 2; index.has(key); n++) key = `${base} #${n}`;
+    index.set(key, row);
+  }
+  return index;
+}
+
+// "25.60" and 25.6 are the same value
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (a === undefined || a === null || b === undefined || b === null) return false;
+  if (a !== "" && b !== "" && !isNaN(Number(a)) && !isNaN(Number(b))) {
+    return Number(a) === Number(b);
+  }
+  return String(a) === String(b);
+}
+
+// { key, added: [{ key, row }], removed: [{ key, row }], changed: [{ key,
+// column, before, after }] }
+function diffRows(oldRows, newRows, declaredKey) {
+  const key = keyColumns([...oldRows, ...newRows], declaredKey);
+  const before = indexByKey(oldRows, key);
+  const after = indexByKey(newRows, key);
+  const result = { key, added: [], removed: [], changed: [] };
+
+  for (const [rowKey, row] of after) {
+    const old = before.get(rowKey);
+    if (!old) {
+      result.added.push({ key: rowKey, row });
+      continue;
+    }
+    const columns = [...new Set([...Object.keys(old), ...Object.keys(row)])];
+    for (const column of columns) {
+      if (!sameValue(old[column], row[column])) {
+        result.changed.push({
+          key: rowKey,
+          column,
+          before: old[column] === undefined ? null : old[column],
+          after: row[column] === undefined ? null : row[column],
+        });
+      }
+    }
+  }
+  for (const [rowKey, row] of before) {
+    if (!after.has(rowKey)) result.removed.push({ key: rowKey, row });
+  }
+  return result;
+}
+
+function countChanges(result) {
+  return result.added.length + result.removed.length + result.changed.length;
+}
+
+// Compares the row files of two extract directories. `files` limits the
+// comparison to those relative paths (default: every file in either).
+// Returns one entry per file: { file, section, status, key, added,
+// removed, changed }, status being "compared", "added" (only in the new
+// one) or "removed".
+async function diffDirectories(oldDir, newDir, sections, files = null) {
+  const oldFiles = listRowFiles(oldDir);
+  const newFiles = listRowFiles(newDir);
+  const all = files || [...new Set([...oldFiles, ...newFiles])].sort();
+
+  const results = [];
+  for (const file of all) {
+    const section = findSectionForFile(sections, path.basename(file));
+    const declared = section ? section.meta.key : undefined;
+    const oldPath = path.join(oldDir, file);
+    const newPath = path.join(newDir, file);
+    const inOld = fs.existsSync(oldPath);
+    const inNew = fs.existsSync(newPath);
+    if (!inOld && !inNew) continue;
+
+    const result = diffRows(
+      inOld ? await loadRows(oldPath) : [],
+      inNew ? await loadRows(newPath) : [],
+      declared
+    );
+    results.push({
+      file,
+      section: section ? section.title : file,
+      status: !inOld ? "added" : !inNew ? "removed" : "compared",
+      ...result,
+    });
+  }
+  return results;
+}
+
+// Plain text listing of the differences of one file
+function formatFileDiff(result) {
+  const counts = `${result.added.length} added, ${result.removed.length} removed, ${result.changed.length} changed`;
+  const status = result.status === "compared" ? "" : ` [file ${result.status}]`;
+  const lines = [`${result.section} (${result.file}): ${counts}${status}`];
+  for (const { key } of result.added) lines.push(`  + ${key}`);
+  for (const { key } of result.removed) lines.push(`  - ${key}`);
+  for (const { key, column, before, after } of result.changed) {
+    lines.push(`  ~ ${key}: ${column} ${before} -> ${after}`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  DEFAULT_KEY,
+  diffRows,
+  countChanges,
+  diffDirectories,
+  formatFileDiff,
+};
@@ -0,0 +1,36 @@
+// "HH:MM:SS" duration strings as produced by the queries (SEC_TO_TIME and the
+// CONCAT'ed totals, which can go past 24 hours, e.g. "2966:35:53").
+
+// Parse "HH:MM:SS" or "HHHH:MM:SS" to seconds
+function parseDuration(durationStr) {
+  if (!durationStr || typeof durationStr !== "string") return 0;
+  // Handle cases like "2966:35:53" or "01:33:11.493717"
+  // Remove potential milliseconds for simple summing or keep them?
+  // Usually H:M:S is good enough.
+  const parts = durationStr.split(":");
+  if (parts.length < 2) return 0;
+
+  const hours = parseInt(parts[0], 10) || 0;
+  const minutes = parseInt(parts[1], 10) || 0;
+  const seconds = parseFloat(parts[2]) || 0;
+
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+// Format seconds to "HH:MM:SS" (floor seconds)
+function formatDuration(totalSeconds) {
+  const hours = Math.floor(totalSeconds / 3600);
+  const remainder = totalSeconds % 3600;
+  const minutes = Math.floor(remainder / 60);
+  const seconds = Math.floor(remainder % 60);
+
+  return `${hours}:${minutes.toString().padStart(2, "0")}:${seconds
+    .toString()
+    .padStart(2, "0")}`;
+}
+
+function isDuration(value) {
+  return typeof value === "string" && /^\d+:\d{1,2}(:\d|$)/.test(value);
+}
+
+module.exports = { parseDuration, formatDuration, isDuration };
@@ -0,0 +1,79 @@
+// Fixture data source for the extract (--source fixtures --fixtures <dir>):
+// instead of running the SQL, every section copies its rows from a file laid
+// out like an extract directory, so the build can be developed and tested
+// without MySQL:
+//
+//   <dir>/TICKETS_GENERAL.json                     general section
+//   <dir>/Palacio_Mundo_Imperial/TOP_HABITACIONES_CON_MAS_TICKETS.csv
+//                                                  unit section, unit folder
+//   <dir>/<section>_<Department>.json              department fan-out
+//
+// Files are .json, .ndjson or .csv (header row, values kept as text). Units
+// and departments come from <dir>/.manifest.json, which every extract
+// writes, so any earlier Input folder can serve as fixtures. The period is
+// not applied: the files are used as they are.
+
+const fs = require("fs");
+const path = require("path");
+const { readRows } = require("./rowFiles");
+const { parseCsvObjects } = require("./csv");
+const { readManifest, MANIFEST_FILE } = require("./manifest");
+
+const FIXTURE_EXTENSIONS = [".json", ".ndjson", ".csv"];
+
+function findFixture(dir, file) {
+  for (const extension of FIXTURE_EXTENSIONS) {
+    const candidate = path.join(dir, `${file}${extension}`);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+async function* readFixture(file) {
+  if (file.toLowerCase().endsWith(".csv")) {
+    yield* parseCsvObjects(fs.readFileSync(file, "utf8"));
+    return;
+  }
+  yield* readRows(file);
+}
+
+function createFixtureSource(options) {
+  const dir = options.fixturesDir;
+  if (!dir) throw new Error("--source fixtures needs --fixtures <dir>");
+  if (!fs.existsSync(dir)) throw new Error(`Fixtures directory not found: ${dir}`);
+
+  // "units" / "departments" of the manifest, as [{ id, name }]
+  const listFromManifest = (key) => {
+    const manifest = readManifest(dir) || {};
+    if (!Array.isArray(manifest[key])) {
+      throw new Error(
+        `${path.join(dir, MANIFEST_FILE)} has no "${key}" list` +
+          (key === "units" ? ' (or set "source": "config" in the units config)' : "")
+      );
+    }
+    return manifest[key].map((item) => ({ id: item.id, name: item.name }));
+  };
+
+  return {
+    name: "fixtures",
+    listUnits: async () => listFromManifest("units"),
+    listDepartments: async () => listFromManifest("departments"),
+    // `job.file` is the output path relative to the extract directory,
+    // without extension
+    async runSection(job, writer) {
+      const file = findFixture(dir, job.file);
+      if (!file) {
+        throw new Error(
+          `No fixture for ${job.file} in ${dir} (${FIXTURE_EXTENSIONS.join(", ")})`
+        );
+      }
+      for await (const row of readFixture(file)) {
+        await writer.write(row);
+      }
+    },
+    isTransientError: () => false,
+    end: async () => {},
+  };
+}
+
+module.exports = { FIXTURE_EXTENSIONS, createFixtureSource };
@@ -0,0 +1,266 @@
+// Room hotspot sheet ("-- @layout: hotspots"): one row per ticket of a unit
+// (habitacion, departamento, etiqueta, fecha and the room's glitches in the
+// period) turned into three tables:
+//
+//   RANKING                  every room by tickets, with its tower, glitches,
+//                            repeat incidents and main department and label
+//   TORRE x DEPARTAMENTO     tickets per tower and department
+//   REINCIDENCIAS            the same label in the same room again within
+//                            "-- @window" days of the previous ticket
+//
+// Towers come from room names like "4720 Torre 4"; other places (lobby,
+// restaurants) are grouped as "Sin torre".
+
+const { typedValue } = require("./cells");
+
+// Columns the section has to return
+const HOTSPOT_COLUMNS = [
+  "id_habitacion",
+  "habitacion",
+  "departamento",
+  "etiqueta",
+  "fecha",
+  "glitches_habitacion",
+];
+
+// Days within which the same label in the same room counts as a repeat
+const DEFAULT_REPEAT_WINDOW_DAYS = 7;
+
+const NO_TOWER = "Sin torre";
+const TOWER_RE = /\bTorre\s+([\w-]+)/i;
+
+const MS_PER_DAY = 86400000;
+
+const text = (value) => typedValue(value === null ? "" : value, "text");
+const integer = (value) => typedValue(value, "integer");
+
+function towerOf(roomName) {
+  const match = TOWER_RE.exec(String(roomName));
+  return match ? `Torre ${match[1]}` : NO_TOWER;
+}
+
+// "Torre 2" before "Torre 10", "Sin torre" last
+function compareTowers(a, b) {
+  if (a === NO_TOWER || b === NO_TOWER) return (a === NO_TOWER) - (b === NO_TOWER);
+  return a.localeCompare(b, "es", { numeric: true });
+}
+
+// "2025-03-04 10:20:00" (or a Date) -> milliseconds
+function timestamp(value) {
+  if (value instanceof Date) return value.getTime();
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}):(\d{2}))?/.exec(String(value));
+  if (!match) throw new Error(`fecha '${value}' is not a 'YYYY-MM-DD HH:MM:SS' date`);
+  const [, y, m, d, hh = 0, mm = 0, ss = 0] = match.map((part) => part && Number(part));
+  return Date.UTC(y, m - 1, d, hh, mm, ss);
+}
+
+const day = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// Most frequent value of `values`, ties broken alphabetically
+function mostFrequent(values) {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(b[0]))[0][0];
+}
+
+// Runs of tickets with the same label in the same room, each within
+// `windowDays` of the previous one. Only runs of two or more are repeats.
+function findRepeats(tickets, windowDays) {
+  const byRoomAndLabel = new Map();
+  for (const ticket of tickets) {
+    const key = `${ticket.roomId}\u0000${ticket.etiqueta}`;
+    if (!byRoomAndLabel.has(key)) byRoomAndLabel.set(key, []);
+    byRoomAndLabel.get(key).push(ticket);
+  }
+
+  const repeats = [];
+  for (const group of byRoomAndLabel.values()) {
+    group.sort((a, b) => a.time - b.time);
+    let run = [group[0]];
+    const close = () => {
+      if (run.length > 1) repeats.push(run);
+    };
+    for (const ticket of group.slice(1)) {
+      if (ticket.time - run[run.length - 1].time <= windowDays * MS_PER_DAY) {
+        run.push(ticket);
+      } else {
+        close();
+        run = [ticket];
+      }
+    }
+    close();
+  }
+  return repeats;
+}
+
+// Rooms ranked by tickets (then glitches, then name)
+function rankRooms(tickets, repeats) {
+  const rooms = new Map();
+  for (const ticket of tickets) {
+    if (!rooms.has(ticket.roomId)) {
+      rooms.set(ticket.roomId, {
+        habitacion: ticket.habitacion,
+        torre: ticket.torre,
+        glitches: ticket.glitches,
+        tickets: [],
+        repeats: 0,
+      });
+    }
+    rooms.get(ticket.roomId).tickets.push(ticket);
+  }
+  // Every ticket after the first of a run repeats an open issue
+  for (const run of repeats) rooms.get(run[0].roomId).repeats += run.length - 1;
+
+  return [...rooms.values()]
+    .map((room) => ({
+      ...room,
+      departamento: mostFrequent(room.tickets.map((t) => t.departamento)),
+      etiqueta: mostFrequent(room.tickets.map((t) => t.etiqueta)),
+    }))
+    .sort(
+      (a, b) =>
+        b.tickets.length - a.tickets.length ||
+        b.glitches - a.glitches ||
+        a.habitacion.localeCompare(b.habitacion, "es", { numeric: true })
+    );
+}
+
+function towerDepartmentMatrix(tickets) {
+  const towers = [...new Set(tickets.map((t) => t.torre))].sort(compareTowers);
+  const departments = [...new Set(tickets.map((t) => t.departamento))].sort((a, b) =>
+    a.localeCompare(b, "es")
+  );
+  const counts = {};
+  for (const ticket of tickets) {
+    const key = `${ticket.torre}\u0000${ticket.departamento}`;
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  const count = (tower, department) => counts[`${tower}\u0000${department}`] || 0;
+  return { towers, departments, count };
+}
+
+function readTickets(rows) {
+  return rows.map((row, index) => {
+    try {
+      return {
+        roomId: String(row.id_habitacion),
+        habitacion: String(row.habitacion),
+        torre: towerOf(row.habitacion),
+        departamento: String(row.departamento),
+        etiqueta: String(row.etiqueta),
+        time: timestamp(row.fecha),
+        glitches: Number(row.glitches_habitacion) || 0,
+      };
+    } catch (err) {
+      throw new Error(`row ${index + 1}: ${err.message}`);
+    }
+  });
+}
+
+// Layout of the hotspot sheet (see json_to_excel.js buildSheetLayout).
+// `meta.window` is the repeat window in days.
+function buildHotspotLayout(rows, meta = {}) {
+  const missing = HOTSPOT_COLUMNS.filter((c) => !rows.some((r) => r[c] !== undefined));
+  if (missing.length > 0) {
+    throw new Error(`@layout hotspots needs column(s): ${missing.join(", ")}`);
+  }
+  const windowDays = meta.window || DEFAULT_REPEAT_WINDOW_DAYS;
+  const tickets = readTickets(rows);
+  const repeats = findRepeats(tickets, windowDays);
+  const rooms = rankRooms(tickets, repeats);
+  const matrix = towerDepartmentMatrix(tickets);
+
+  const layout = [];
+  const title = (value) => layout.push({ role: "title", cells: [text(value)] });
+  const header = (labels) => layout.push({ role: "header", cells: labels.map(text) });
+  const spacer = () => layout.push({ role: "spacer", cells: [] });
+
+  // 1. Ranking
+  title("RANKING DE HABITACIONES");
+  header([
+    "Posición",
+    "Habitación",
+    "Torre",
+    "Tickets",
+    "Glitches",
+    "Reincidencias",
+    "Departamento principal",
+    "Etiqueta principal",
+  ]);
+  rooms.forEach((room, index) => {
+    layout.push({
+      role: "data",
+      cells: [
+        integer(index + 1),
+        text(room.habitacion),
+        text(room.torre),
+        integer(room.tickets.length),
+        integer(room.glitches),
+        integer(room.repeats),
+        text(room.departamento),
+        text(room.etiqueta),
+      ],
+    });
+  });
+
+  // 2. Tower x department
+  spacer();
+  title("TORRE x DEPARTAMENTO");
+  header(["Torre", ...matrix.departments, "TOTAL"]);
+  const rowFor = (label, countFor, role) => {
+    const values = matrix.departments.map(countFor);
+    layout.push({
+      role,
+      cells: [text(label), ...values.map(integer), integer(values.reduce((a, b) => a + b, 0))],
+    });
+  };
+  for (const tower of matrix.towers) {
+    rowFor(tower, (department) => matrix.count(tower, department), "data");
+  }
+  rowFor(
+    "TOTAL",
+    (department) => matrix.towers.reduce((sum, tower) => sum + matrix.count(tower, department), 0),
+    "total"
+  );
+
+  // 3. Repeat offenders
+  spacer();
+  title(`REINCIDENCIAS: MISMA ETIQUETA EN LA MISMA HABITACIÓN EN ${windowDays} DÍAS`);
+  if (repeats.length === 0) {
+    layout.push({ role: "data", cells: [text("Sin reincidencias")] });
+  } else {
+    header(["Habitación", "Torre", "Etiqueta", "Departamento", "Tickets", "Desde", "Hasta", "Glitches"]);
+    const sorted = [...repeats].sort(
+      (a, b) =>
+        b.length - a.length ||
+        a[0].time - b[0].time ||
+        a[0].habitacion.localeCompare(b[0].habitacion, "es", { numeric: true })
+    );
+    for (const run of sorted) {
+      const [first] = run;
+      layout.push({
+        role: "data",
+        cells: [
+          text(first.habitacion),
+          text(first.torre),
+          text(first.etiqueta),
+          text(first.departamento),
+          integer(run.length),
+          text(day(first.time)),
+          text(day(run[run.length - 1].time)),
+          integer(first.glitches),
+        ],
+      });
+    }
+  }
+
+  return { rows: layout, pivotBlocks: [] };
+}
+
+module.exports = {
+  HOTSPOT_COLUMNS,
+  DEFAULT_REPEAT_WINDOW_DAYS,
+  towerOf,
+  findRepeats,
+  buildHotspotLayout,
+};
@@ -0,0 +1,141 @@
+// Writes sheet layouts (see xlsxWriter.js) as a single self-contained HTML
+// file per workbook: inline styles, no scripts or external files, readable
+// on a phone. Every sheet is a section with its tables (raw data,
+// "Acumulado", COMPARATIVA...), linked from a menu at the top, and
+// Porcentaje_Cumplimiento gets the same red/green highlighting as in Excel.
+
+const path = require("path");
+const { plainValue } = require("./cells");
+const { createFileWriter } = require("./rowFiles");
+const { COMPLIANCE_COLUMN, DEFAULT_COMPLIANCE_THRESHOLD } = require("./xlsxWriter");
+
+const STYLE = `
+body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; margin: 0 1rem 2rem; color: #222; }
+h1 { color: #1f4e78; }
+h2 { color: #1f4e78; border-bottom: 2px solid #1f4e78; padding-top: 1rem; }
+h3 { color: #1f4e78; margin-bottom: 0.3rem; }
+nav a { display: inline-block; margin: 0 0.8rem 0.4rem 0; color: #1f4e78; }
+.table { overflow-x: auto; margin-bottom: 1rem; }
+table { border-collapse: collapse; font-size: 0.85rem; }
+th, td { padding: 0.25rem 0.5rem; border: 1px solid #ddd; white-space: nowrap; }
+th { background: #1f4e78; color: #fff; position: sticky; top: 0; }
+tr.total td { font-weight: bold; background: #fff2cc; }
+td.num { text-align: right; }
+td.below { color: #9c0006; background: #ffc7ce; }
+td.above { color: #006100; background: #c6efce; }
+`;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Text of a cell, as Excel's number formats would show it
+function displayValue(cell) {
+  const value = plainValue(cell);
+  if (value === "" || value === null || value === undefined) return "";
+  switch (cell.kind) {
+    case "percent":
+      return `${value.toFixed(2)}%`;
+    case "number":
+      return value.toFixed(2);
+    default:
+      return String(value);
+  }
+}
+
+function cellHtml(cell, threshold) {
+  const classes = [];
+  if (cell.kind !== "text") classes.push("num");
+  if (cell.column === COMPLIANCE_COLUMN && cell.kind === "percent") {
+    classes.push(cell.value * 100 < threshold ? "below" : "above");
+  }
+  const attribute = classes.length > 0 ? ` class="${classes.join(" ")}"` : "";
+  return `<td${attribute}>${escapeHtml(displayValue(cell))}</td>`;
+}
+
+// Rows up to the next spacer or title form one table; a header row opens a
+// new one.
+async function writeSheetHtml(output, sheet, anchor, threshold) {
+  await output.write(`<section id="${anchor}">\n<h2>${escapeHtml(sheet.name)}</h2>\n`);
+  let open = false;
+  const close = async () => {
+    if (open) await output.write("</tbody></table></div>\n");
+    open = false;
+  };
+
+  for await (const row of sheet.rows) {
+    switch (row.role) {
+      case "spacer":
+        await close();
+        break;
+      case "title":
+        await close();
+        await output.write(`<h3>${escapeHtml(row.cells.map(displayValue).join(" "))}</h3>\n`);
+        break;
+      case "header":
+        await close();
+        await output.write(
+          `<div class="table"><table><thead><tr>${row.cells
+            .map((cell) => `<th>${escapeHtml(displayValue(cell))}</th>`)
+            .join("")}</tr></thead><tbody>\n`
+        );
+        open = true;
+        break;
+      default:
+        if (!open) {
+          await output.write('<div class="table"><table><tbody>\n');
+          open = true;
+        }
+        await output.write(
+          `<tr${row.role === "total" ? ' class="total"' : ""}>${row.cells
+            .map((cell) => cellHtml(cell, threshold))
+            .join("")}</tr>\n`
+        );
+    }
+  }
+  await close();
+  await output.write("</section>\n");
+}
+
+// The page title is the workbook name ("General", the unit folder...)
+async function writeHtmlReport(sheets, outputPath, options = {}) {
+  const threshold = options.complianceThreshold ?? DEFAULT_COMPLIANCE_THRESHOLD;
+  const title = path.basename(outputPath, path.extname(outputPath));
+  const anchors = sheets.map((sheet, index) => `hoja-${index + 1}`);
+
+  const output = createFileWriter(outputPath);
+  try {
+    await output.write(
+      [
+        "<!DOCTYPE html>",
+        '<html lang="es">',
+        "<head>",
+        '<meta charset="utf-8">',
+        '<meta name="viewport" content="width=device-width, initial-scale=1">',
+        `<title>${escapeHtml(title)}</title>`,
+        `<style>${STYLE}</style>`,
+        "</head>",
+        "<body>",
+        `<h1>${escapeHtml(title)}</h1>`,
+        `<nav>${sheets
+          .map((sheet, index) => `<a href="#${anchors[index]}">${escapeHtml(sheet.name)}</a>`)
+          .join("")}</nav>`,
+        "",
+      ].join("\n")
+    );
+    for (const [index, sheet] of sheets.entries()) {
+      await writeSheetHtml(output, sheet, anchors[index], threshold);
+    }
+    await output.write("</body>\n</html>\n");
+    await output.close();
+  } catch (err) {
+    output.abort();
+    throw err;
+  }
+}
+
+module.exports = { writeHtmlReport };
@@ -0,0 +1,48 @@
+// Small helpers to run many async jobs: bounded concurrency and retries.
+
+// Runs `worker(item, index)` for every item with at most `limit` running at
+// once. Results come back in the order of `items`, not of completion, so
+// whatever is built from them doesn't depend on timing. A rejected worker
+// rejects the whole call; workers that must not stop the rest catch their
+// own errors.
+async function mapLimit(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function lane() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const lanes = [];
+  for (let i = 0; i < Math.max(1, Math.min(limit, items.length)); i++) {
+    lanes.push(lane());
+  }
+  await Promise.all(lanes);
+  return results;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Calls `fn(attempt)` (attempt starts at 1) until it resolves. Errors for
+// which `shouldRetry(err)` is true are retried up to `retries` times, waiting
+// `backoffMs`, then twice that, and so on. `onRetry(err, attempt, delay)` is
+// called before each wait.
+async function withRetry(fn, { retries = 0, backoffMs = 1000, shouldRetry, onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt > retries || !shouldRetry || !shouldRetry(err)) throw err;
+      const delay = backoffMs * 2 ** (attempt - 1);
+      if (onRetry) onRetry(err, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = { mapLimit, sleep, withRetry };
@@ -0,0 +1,22 @@
+// Small JSON file written next to the extracted data so json_to_excel.js
+// knows how the extract was run (e.g. the reporting period).
+// It is a dotfile so it is never picked up as a sheet.
+
+const fs = require("fs");
+const path = require("path");
+
+const MANIFEST_FILE = ".manifest.json";
+
+function readManifest(dir) {
+  const file = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeManifest(dir, manifest) {
+  const file = path.join(dir, MANIFEST_FILE);
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  return file;
+}
+
+module.exports = { MANIFEST_FILE, readManifest, writeManifest };
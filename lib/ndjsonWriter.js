@@ -0,0 +1,58 @@
+// Writes sheet layouts (see xlsxWriter.js) as one NDJSON file per workbook,
+// one line per data or total row:
+//
+//   {"sheet":"TICKETS_GENERAL","table":3,"title":"COMPARATIVA ...",
+//    "role":"data","values":{"Mes":"Enero 2025","Palacio Mundo Imperial":120}}
+//
+// "table" counts the tables of the sheet in order (the raw data is 1, then
+// the "Acumulado" and each COMPARATIVA), "title" is the title row above the
+// table, if any, and "values" is keyed by the table's header row. Values
+// are the ones the queries returned (see cells.plainValue).
+
+const { plainValue } = require("./cells");
+const { createFileWriter } = require("./rowFiles");
+
+async function writeSheetLines(output, sheet) {
+  let table = 0;
+  let title = null;
+  let header = null;
+
+  for await (const row of sheet.rows) {
+    switch (row.role) {
+      case "spacer":
+        title = null;
+        break;
+      case "title":
+        title = row.cells.length > 0 ? plainValue(row.cells[0]) : null;
+        break;
+      case "header":
+        table++;
+        header = row.cells.map((cell) => String(plainValue(cell)));
+        break;
+      default: {
+        const values = {};
+        row.cells.forEach((cell, index) => {
+          const key = header && header[index] ? header[index] : `Columna_${index + 1}`;
+          values[key] = plainValue(cell);
+        });
+        const line = { sheet: sheet.name, table, title, role: row.role, values };
+        await output.write(JSON.stringify(line) + "\n");
+      }
+    }
+  }
+}
+
+async function writeNdjson(sheets, outputPath) {
+  const output = createFileWriter(outputPath);
+  try {
+    for (const sheet of sheets) {
+      await writeSheetLines(output, sheet);
+    }
+    await output.close();
+  } catch (err) {
+    output.abort();
+    throw err;
+  }
+}
+
+module.exports = { writeNdjson };
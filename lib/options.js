@@ -0,0 +1,158 @@
+// Command line options shared by the extract, build and run commands (see
+// cli.js). process_queries.js and json_to_excel.js accept the same flags
+// when run on their own.
+
+const path = require("path");
+const { getFlag, getListFlag } = require("./args");
+const { periodFromArgs } = require("./period");
+const { REPORT_FILE } = require("./runReport");
+const { DEFAULT_FORMATS, parseFormats } = require("./outputFormats");
+const { SNAPSHOTS_DIR } = require("./snapshots");
+const { DEFAULT_SOURCE, parseSource } = require("./dataSources");
+const { parseByDepartment } = require("./departments");
+
+// Last year's data, next to this year's (extract --previous-year)
+const PREVIOUS_INPUT_DIR = ".previous";
+
+const DEFAULTS = {
+  // Query files, or directories of .sql files, in order
+  queryFiles: ["Consultas.txt", "Consultas_Anuales.txt"],
+  inputDir: "Input",
+  outputDir: "Output",
+  // Queries running at once (and pool size)
+  concurrency: 4,
+  // Seconds before a query is abandoned; 0 waits forever
+  queryTimeout: 600,
+  // Extra attempts after a transient connection error
+  retries: 2,
+  // Build outputs (see lib/outputFormats.js)
+  formats: DEFAULT_FORMATS,
+  // Where the extract reads from (see lib/dataSources.js)
+  source: DEFAULT_SOURCE,
+};
+
+// Flags followed by a value, and flags on their own
+const VALUE_FLAGS = [
+  "--queries",
+  "--input",
+  "--output",
+  "--from",
+  "--to",
+  "--year",
+  "--quarter",
+  "--units",
+  "--exclude-units",
+  "--sections",
+  "--compliance-threshold",
+  "--report",
+  "--concurrency",
+  "--query-timeout",
+  "--retries",
+  "--format",
+  "--previous-input",
+  "--snapshots",
+  "--old",
+  "--new",
+  "--source",
+  "--fixtures",
+  "--sqlite",
+  "--by-department",
+];
+const SWITCH_FLAGS = [
+  "--dry-run",
+  "--charts",
+  "--strict",
+  "--deltas",
+  "--previous-year",
+  "--changes",
+];
+
+// A typo in a cron entry should fail loudly, not run with the defaults
+function assertKnownFlags(argv) {
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (VALUE_FLAGS.includes(arg)) {
+      i++;
+    } else if (!SWITCH_FLAGS.includes(arg)) {
+      throw new Error(`Unknown option '${arg}'`);
+    }
+  }
+}
+
+// "--compliance-threshold 85": Porcentaje_Cumplimiento below this (in
+// percent) is highlighted red, at or above it green. Without the flag the
+// writer's default applies.
+function complianceThreshold(argv) {
+  const value = getFlag(argv, "--compliance-threshold");
+  if (value === undefined) return undefined;
+  const threshold = Number(value);
+  if (isNaN(threshold) || threshold < 0 || threshold > 100) {
+    throw new Error(`--compliance-threshold must be a number from 0 to 100 (got '${value}')`);
+  }
+  return threshold;
+}
+
+function integerFlag(argv, name, min, fallback) {
+  const value = getFlag(argv, name);
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new Error(`${name} must be an integer of at least ${min} (got '${value}')`);
+  }
+  return number;
+}
+
+// `period` is null when no period flag is given; each command picks its
+// own default (the extract uses the current year, the build the manifest
+// or the years of the data).
+function parseOptions(argv) {
+  assertKnownFlags(argv);
+  const inputDir = getFlag(argv, "--input") || DEFAULTS.inputDir;
+  return {
+    queryFiles: getListFlag(argv, "--queries") || DEFAULTS.queryFiles,
+    inputDir,
+    outputDir: getFlag(argv, "--output") || DEFAULTS.outputDir,
+    period: periodFromArgs(argv),
+    unitFilters: {
+      include: getListFlag(argv, "--units"),
+      exclude: getListFlag(argv, "--exclude-units"),
+    },
+    sections: getListFlag(argv, "--sections") || [],
+    dryRun: argv.includes("--dry-run"),
+    charts: argv.includes("--charts"),
+    complianceThreshold: complianceThreshold(argv),
+    // Empty results count as failures, and `run` skips the build when the
+    // extract failed
+    strict: argv.includes("--strict"),
+    reportFile: getFlag(argv, "--report") || path.join(inputDir, REPORT_FILE),
+    concurrency: integerFlag(argv, "--concurrency", 1, DEFAULTS.concurrency),
+    queryTimeout: integerFlag(argv, "--query-timeout", 0, DEFAULTS.queryTimeout),
+    retries: integerFlag(argv, "--retries", 0, DEFAULTS.retries),
+    formats: parseFormats(getListFlag(argv, "--format") || DEFAULTS.formats),
+    // Month over month (and year over year) change tables in the build
+    deltas: argv.includes("--deltas"),
+    // The extract also runs the same period a year earlier, for the deltas
+    previousYear: argv.includes("--previous-year"),
+    previousInputDir:
+      getFlag(argv, "--previous-input") || path.join(inputDir, PREVIOUS_INPUT_DIR),
+    // Every extract is copied here (see lib/snapshots.js)
+    snapshotsDir: getFlag(argv, "--snapshots") || path.join(inputDir, SNAPSHOTS_DIR),
+    // Snapshots compared by `diff` and the "Cambios" sheet (--changes)
+    oldSnapshot: getFlag(argv, "--old"),
+    newSnapshot: getFlag(argv, "--new"),
+    changes: argv.includes("--changes"),
+    // Per department sheets or workbooks of the "-- @drilldown" reports
+    byDepartment: parseByDepartment(getFlag(argv, "--by-department")),
+    source: parseSource(getFlag(argv, "--source") || DEFAULTS.source),
+    // Data for --source fixtures, and a database file for --source sqlite
+    // (default: the seeded fixtures/sqlite database)
+    fixturesDir: getFlag(argv, "--fixtures"),
+    sqliteFile: getFlag(argv, "--sqlite"),
+  };
+}
+
+module.exports = {
+  PREVIOUS_INPUT_DIR,
+  DEFAULTS,
+  parseOptions,
+};
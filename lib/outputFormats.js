@@ -0,0 +1,43 @@
+// Output formats of the build (--format). json_to_excel.js computes the
+// sheet layouts once (raw rows, "Acumulado", COMPARATIVA, see
+// xlsxWriter.js) and hands them to the writer of every requested format.
+// Each writer takes (sheets, target, options); `target` comes from the
+// output path without extension, e.g. Output/General:
+//
+//   xlsx    Output/General.xlsx
+//   csv     Output/General/<sheet>.csv, one file per sheet
+//   ndjson  Output/General.ndjson, one line per row
+//   html    Output/General.html, a single self-contained page
+
+const { writeWorkbook } = require("./xlsxWriter");
+const { writeCsvFiles } = require("./csvWriter");
+const { writeNdjson } = require("./ndjsonWriter");
+const { writeHtmlReport } = require("./htmlWriter");
+
+const OUTPUT_FORMATS = {
+  xlsx: { target: (base) => `${base}.xlsx`, write: writeWorkbook },
+  csv: { target: (base) => base, write: writeCsvFiles },
+  ndjson: { target: (base) => `${base}.ndjson`, write: writeNdjson },
+  html: { target: (base) => `${base}.html`, write: writeHtmlReport },
+};
+
+const DEFAULT_FORMATS = ["xlsx"];
+
+// ["XLSX", "csv", "csv"] -> ["xlsx", "csv"]; unknown names throw
+function parseFormats(names) {
+  const formats = [...new Set(names.map((name) => name.toLowerCase()))];
+  for (const format of formats) {
+    if (!OUTPUT_FORMATS[format]) {
+      throw new Error(
+        `Unknown output format '${format}' (expected ${Object.keys(OUTPUT_FORMATS).join(", ")})`
+      );
+    }
+  }
+  return formats;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  DEFAULT_FORMATS,
+  parseFormats,
+};
@@ -0,0 +1,109 @@
+// Named parameters the query files may use. Each one declares its type and
+// either where its single value comes from (`resolve`) or which list of
+// entities the section has to be run for (`fanOut`).
+
+const PARAMETERS = {
+  fromDate: {
+    type: "datetime",
+    resolve: (context) => context.period.fromDateTime,
+  },
+  toDate: {
+    type: "datetime",
+    resolve: (context) => context.period.toDateTime,
+  },
+  unitId: {
+    type: "int",
+    fanOut: "units",
+  },
+  departmentId: {
+    type: "int",
+    fanOut: "departments",
+  },
+};
+
+const DATETIME_RE = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function coerceParameter(name, value) {
+  const { type } = PARAMETERS[name];
+
+  switch (type) {
+    case "int": {
+      const number = Number(value);
+      if (!Number.isInteger(number)) {
+        throw new Error(`Parameter :${name} expects an integer (got '${value}')`);
+      }
+      return number;
+    }
+    case "datetime":
+      if (!DATETIME_RE.test(value)) {
+        throw new Error(
+          `Parameter :${name} expects 'YYYY-MM-DD HH:MM:SS' (got '${value}')`
+        );
+      }
+      return value;
+    case "date":
+      if (!DATE_RE.test(value)) {
+        throw new Error(`Parameter :${name} expects 'YYYY-MM-DD' (got '${value}')`);
+      }
+      return value;
+    default:
+      return String(value);
+  }
+}
+
+function assertKnownParameters(names, sectionTitle) {
+  const unknown = names.filter((name) => !PARAMETERS[name]);
+  if (unknown.length > 0) {
+    throw new Error(
+      `Section '${sectionTitle}' uses unknown parameter(s): ${unknown
+        .map((n) => ":" + n)
+        .join(", ")}`
+    );
+  }
+}
+
+// Builds every parameter combination a section has to be executed with.
+// `lists` holds the fan-out entities, e.g. { units: [{ id, name }] }.
+// Each binding is { values: { unitId: 1, ... }, entities: { unitId: {...} } }.
+function expandBindings(names, context, lists) {
+  let bindings = [{ values: {}, entities: {} }];
+
+  for (const name of names) {
+    const def = PARAMETERS[name];
+
+    if (def.fanOut) {
+      const entities = lists[def.fanOut] || [];
+      const expanded = [];
+      for (const binding of bindings) {
+        for (const entity of entities) {
+          expanded.push({
+            values: { ...binding.values, [name]: coerceParameter(name, entity.id) },
+            entities: { ...binding.entities, [name]: entity },
+          });
+        }
+      }
+      bindings = expanded;
+    } else {
+      const value = coerceParameter(name, def.resolve(context));
+      for (const binding of bindings) binding.values[name] = value;
+    }
+  }
+
+  return bindings;
+}
+
+// Names of the entity lists (units, departments...) a set of parameters needs
+function requiredFanOuts(names) {
+  return names
+    .filter((name) => PARAMETERS[name] && PARAMETERS[name].fanOut)
+    .map((name) => PARAMETERS[name].fanOut);
+}
+
+module.exports = {
+  PARAMETERS,
+  coerceParameter,
+  assertKnownParameters,
+  expandBindings,
+  requiredFanOuts,
+};
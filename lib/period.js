@@ -0,0 +1,202 @@
+// Reporting period shared by process_queries.js and json_to_excel.js.
+// A period is an inclusive range of calendar days; the SQL receives it as
+// datetimes and the workbooks receive it as "Mes Año" labels.
+
+const { getFlag } = require("./args");
+
+const MONTH_NAMES = [
+  "Enero",
+  "Febrero",
+  "Marzo",
+  "Abril",
+  "Mayo",
+  "Junio",
+  "Julio",
+  "Agosto",
+  "Septiembre",
+  "Octubre",
+  "Noviembre",
+  "Diciembre",
+];
+
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function pad(n) {
+  return n.toString().padStart(2, "0");
+}
+
+function parseDate(value, flag) {
+  const match = DATE_RE.exec(value || "");
+  if (!match) {
+    throw new Error(`${flag} must be a date in YYYY-MM-DD format (got '${value}')`);
+  }
+  const year = Number(match[1]);
+  const month = Number(match[2]);
+  const day = Number(match[3]);
+  // Reject things like 2026-02-30 that Date would silently roll over
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    throw new Error(`${flag} is not a valid calendar date (got '${value}')`);
+  }
+  return { year, month, day };
+}
+
+function lastDayOfMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function createPeriod(from, to) {
+  const start = parseDate(from, "--from");
+  const end = parseDate(to, "--to");
+  if (from > to) {
+    throw new Error(`--from (${from}) is after --to (${to})`);
+  }
+
+  return {
+    from,
+    to,
+    start,
+    end,
+    fromDateTime: `${from} 00:00:00`,
+    toDateTime: `${to} 23:59:59`,
+  };
+}
+
+// The same days `years` years later (earlier when negative); 29 February
+// becomes the 28th in a non-leap year.
+function shiftPeriodYears(period, years) {
+  const shift = ({ year, month, day }) => {
+    const y = year + years;
+    return `${y}-${pad(month)}-${pad(Math.min(day, lastDayOfMonth(y, month)))}`;
+  };
+  return createPeriod(shift(period.start), shift(period.end));
+}
+
+function yearPeriod(year) {
+  return createPeriod(`${year}-01-01`, `${year}-12-31`);
+}
+
+function quarterPeriod(year, quarter) {
+  const firstMonth = (quarter - 1) * 3 + 1;
+  const lastMonth = firstMonth + 2;
+  return createPeriod(
+    `${year}-${pad(firstMonth)}-01`,
+    `${year}-${pad(lastMonth)}-${pad(lastDayOfMonth(year, lastMonth))}`
+  );
+}
+
+// Reads --from/--to, --year or --year + --quarter from the command line.
+// Returns null when none of them were given so callers can pick a fallback.
+function periodFromArgs(argv) {
+  const from = getFlag(argv, "--from");
+  const to = getFlag(argv, "--to");
+  const year = getFlag(argv, "--year");
+  const quarter = getFlag(argv, "--quarter");
+
+  if (from || to) {
+    if (!from || !to) throw new Error("--from and --to must be used together");
+    if (year || quarter) {
+      throw new Error("--from/--to cannot be combined with --year/--quarter");
+    }
+    return createPeriod(from, to);
+  }
+
+  if (quarter) {
+    const q = Number(quarter);
+    if (![1, 2, 3, 4].includes(q)) {
+      throw new Error(`--quarter must be 1, 2, 3 or 4 (got '${quarter}')`);
+    }
+    const y = year ? Number(year) : new Date().getFullYear();
+    if (!Number.isInteger(y)) throw new Error(`--year must be a year (got '${year}')`);
+    return quarterPeriod(y, q);
+  }
+
+  if (year) {
+    const y = Number(year);
+    if (!Number.isInteger(y)) throw new Error(`--year must be a year (got '${year}')`);
+    return yearPeriod(y);
+  }
+
+  return null;
+}
+
+function currentYearPeriod() {
+  return yearPeriod(new Date().getFullYear());
+}
+
+// "Enero 2025", "Febrero 2025"... matching the Mes_Anio column the queries
+// build with lc_time_names = 'es_ES'.
+function monthLabel(year, month) {
+  return `${MONTH_NAMES[month - 1]} ${year}`;
+}
+
+// "Enero 2025" -> { year: 2025, month: 1 }; null for anything else
+function parseMonthLabel(label) {
+  const match = /^(\S+) (\d{4})$/.exec(String(label));
+  if (!match) return null;
+  const index = MONTH_NAMES.indexOf(match[1]);
+  if (index === -1) return null;
+  return { year: Number(match[2]), month: index + 1 };
+}
+
+// shiftMonthLabel("Enero 2025", -1) -> "Diciembre 2024"; null when the
+// label is not a month
+function shiftMonthLabel(label, months) {
+  const parsed = parseMonthLabel(label);
+  if (!parsed) return null;
+  const index = parsed.year * 12 + (parsed.month - 1) + months;
+  return monthLabel(Math.floor(index / 12), (index % 12) + 1);
+}
+
+function monthLabels(period) {
+  const labels = [];
+  let year = period.start.year;
+  let month = period.start.month;
+  while (
+    year < period.end.year ||
+    (year === period.end.year && month <= period.end.month)
+  ) {
+    labels.push(monthLabel(year, month));
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+  return labels;
+}
+
+function isFullYear(period) {
+  return (
+    period.start.year === period.end.year &&
+    period.start.month === 1 &&
+    period.start.day === 1 &&
+    period.end.month === 12 &&
+    period.end.day === 31
+  );
+}
+
+// "Acumulado 2025" for a calendar year, "Acumulado Enero 2026 - Junio 2026"
+// for anything else.
+function accumulatedLabel(period) {
+  if (isFullYear(period)) return `Acumulado ${period.start.year}`;
+
+  const months = monthLabels(period);
+  if (months.length === 1) return `Acumulado ${months[0]}`;
+  return `Acumulado ${months[0]} - ${months[months.length - 1]}`;
+}
+
+module.exports = {
+  MONTH_NAMES,
+  createPeriod,
+  shiftPeriodYears,
+  yearPeriod,
+  quarterPeriod,
+  periodFromArgs,
+  currentYearPeriod,
+  monthLabel,
+  parseMonthLabel,
+  shiftMonthLabel,
+  monthLabels,
+  accumulatedLabel,
+};
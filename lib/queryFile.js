@@ -0,0 +1,418 @@
+// Parsing of the query files (Consultas.txt, Consultas_Anuales.txt...) into
+// sections and of section bodies into statements with named placeholders
+// (":unitId", ":fromDate"...).
+
+const fs = require("fs");
+const path = require("path");
+const { parseColumnSpec } = require("./aggregators");
+const { ROW_FILE_EXTENSIONS, stripRowFileExtension } = require("./rowFiles");
+
+// Section titles are either "TITLE--------------------------" or
+// "✅ TITLE" (the annual rollups)
+const SECTION_MARKER = "--------------------------";
+const SECTION_CHECK_MARK = "✅";
+
+// Files of a query directory (--queries queries/), in name order
+const QUERY_DIR_EXTENSION = ".sql";
+
+// Optional "-- @key: value" lines right after a section title
+const META_RE = /^--\s*@(\w+)\s*:\s*(.*?)\s*$/;
+
+const META_KEYS = {
+  // "unit" (run once per unit, needs :unitId) or "general"
+  scope: (value) => {
+    if (!["unit", "general"].includes(value)) {
+      throw new Error(`@scope must be 'unit' or 'general' (got '${value}')`);
+    }
+    return value;
+  },
+  sheet: (value) => value,
+  aggregate: (value) => value,
+  // Comma separated metric columns, or "none"
+  pivot: (value) =>
+    value === "none"
+      ? []
+      : value
+          .split(",")
+          .map((m) => m.trim())
+          .filter(Boolean),
+  // "RowKey, ColumnKey" of the COMPARATIVA tables, e.g. "Mes_Anio,
+  // Departamento" (default: Mes_Anio, Nombre_Unidad)
+  pivotBy: (value) => {
+    const columns = value
+      .split(",")
+      .map((c) => c.trim())
+      .filter(Boolean);
+    if (columns.length !== 2) {
+      throw new Error(`@pivotBy needs a row and a column key (got '${value}')`);
+    }
+    return columns;
+  },
+  workbook: (value) => value,
+  // "Column=aggregator(args), ..." for the accumulation rows (see aggregators.js)
+  columns: (value) => parseColumnSpec(value),
+  // Columns identifying a row when two extracts are compared (see diff.js)
+  key: (value) => {
+    const columns = value
+      .split(",")
+      .map((c) => c.trim())
+      .filter(Boolean);
+    if (columns.length === 0) throw new Error("@key needs at least one column");
+    return columns;
+  },
+  // Sheet built by a dedicated layout instead of the rows, "Acumulado" and
+  // COMPARATIVA blocks (see SHEET_LAYOUTS in json_to_excel.js)
+  layout: (value) => value,
+  // Days for the layout's time window, e.g. repeat incidents (hotspots.js)
+  window: (value) => {
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 1) {
+      throw new Error(`@window must be a whole number of days (got '${value}')`);
+    }
+    return days;
+  },
+  // Title of the section whose "Acumulado" rows these totals check (see
+  // reconcile.js)
+  reconcile: (value) => value,
+  // Title of the section with the compliance figures joined into the
+  // per-department views of build --by-department (see departments.js)
+  drilldown: (value) => value,
+  // "json" (default) or "ndjson" for large raw exports (see rowFiles.js)
+  format: (value) => {
+    if (!ROW_FILE_EXTENSIONS[value]) {
+      throw new Error(
+        `@format must be one of ${Object.keys(ROW_FILE_EXTENSIONS).join(", ")} (got '${value}')`
+      );
+    }
+    return value;
+  },
+};
+
+// Keys that may appear on several lines; their values are merged
+const REPEATABLE_META_KEYS = ["columns"];
+
+// Pulls the metadata block off the top of a section body.
+// Returns the remaining SQL and the parsed values.
+function parseSectionMeta(title, lines) {
+  const meta = {};
+  let index = 0;
+
+  for (; index < lines.length; index++) {
+    const line = lines[index].trim();
+    if (!line) continue;
+    const match = META_RE.exec(line);
+    if (!match) break;
+
+    const [, key, value] = match;
+    if (!META_KEYS[key]) {
+      throw new Error(
+        `Section '${title}': unknown metadata @${key} (expected one of ${Object.keys(
+          META_KEYS
+        )
+          .map((k) => "@" + k)
+          .join(", ")})`
+      );
+    }
+    try {
+      const parsed = META_KEYS[key](value);
+      meta[key] =
+        REPEATABLE_META_KEYS.includes(key) && meta[key]
+          ? { ...meta[key], ...parsed }
+          : parsed;
+    } catch (err) {
+      throw new Error(`Section '${title}': ${err.message}`);
+    }
+  }
+
+  return { meta, sql: lines.slice(index).join("\n") };
+}
+
+// Title of a section header line, or null for any other line
+function sectionTitle(line) {
+  const trimmed = line.trim();
+  if (trimmed.endsWith(SECTION_MARKER)) {
+    return trimmed.slice(0, -SECTION_MARKER.length).trim();
+  }
+  if (trimmed.startsWith(SECTION_CHECK_MARK)) {
+    return trimmed.slice(SECTION_CHECK_MARK.length).trim();
+  }
+  return null;
+}
+
+// "-- @group: Anual" before the first section sends every section of the
+// file to that output group (see json_to_excel.js); anything else before
+// the first section is documentation. A file without section headers is a
+// single section titled `defaultTitle`, when given (the .sql files of a
+// query directory).
+function parseQueryFile(content, { defaultTitle = null } = {}) {
+  const lines = content.split(/\r?\n/);
+
+  const sections = [];
+  let group = null;
+  let currentTitle = null;
+  let currentSql = [];
+  const preamble = [];
+
+  for (const line of lines) {
+    const title = sectionTitle(line);
+    if (title !== null) {
+      // If we have a previous section, save it
+      if (currentTitle) {
+        sections.push(buildSection(currentTitle, currentSql));
+      }
+      // Start new section
+      currentTitle = title;
+      currentSql = [];
+    } else if (currentTitle) {
+      currentSql.push(line);
+    } else {
+      const match = META_RE.exec(line.trim());
+      if (match && match[1] === "group") {
+        if (!match[2]) throw new Error("@group needs a name");
+        group = match[2];
+      } else {
+        preamble.push(line);
+      }
+    }
+  }
+  // Push the last section
+  if (currentTitle && currentSql.length > 0) {
+    sections.push(buildSection(currentTitle, currentSql));
+  }
+  if (!currentTitle && defaultTitle && preamble.some((line) => line.trim())) {
+    sections.push(buildSection(defaultTitle, preamble));
+  }
+
+  return sections.map((section) => ({ ...section, group }));
+}
+
+// `--queries` entries to query files: directories give their .sql files
+function listQueryFiles(entries) {
+  return entries.flatMap((entry) => {
+    if (!fs.existsSync(entry) || !fs.statSync(entry).isDirectory()) return [entry];
+    return fs
+      .readdirSync(entry)
+      .filter((name) => path.extname(name).toLowerCase() === QUERY_DIR_EXTENSION)
+      .sort()
+      .map((name) => path.join(entry, name));
+  });
+}
+
+// Sections of every query file, in order, each with the `file` it came
+// from. Files that don't exist are an error, unless `missingOk` (the build
+// and diff can do without the query files). Two sections saving to the same
+// file name would overwrite each other's results, so that is an error too.
+function loadQueryFiles(entries, { missingOk = false } = {}) {
+  const sections = [];
+  for (const file of listQueryFiles(entries)) {
+    if (!fs.existsSync(file)) {
+      if (missingOk) continue;
+      throw new Error(`Query file '${file}' does not exist`);
+    }
+    const defaultTitle =
+      path.extname(file).toLowerCase() === QUERY_DIR_EXTENSION
+        ? path.basename(file, path.extname(file))
+        : null;
+    let parsed;
+    try {
+      parsed = parseQueryFile(fs.readFileSync(file, "utf8"), { defaultTitle });
+    } catch (err) {
+      throw new Error(`${file}: ${err.message}`);
+    }
+    for (const section of parsed) {
+      const clash = sections.find((s) => s.fileBase === section.fileBase);
+      if (clash) {
+        throw new Error(
+          `Section '${section.title}' (${file}) and '${clash.title}' (${clash.file}) would both save to ${section.fileBase}`
+        );
+      }
+      sections.push({ ...section, file });
+    }
+  }
+  return sections;
+}
+
+function buildSection(title, lines) {
+  const { meta, sql } = parseSectionMeta(title, lines);
+  return { title, sql, meta, fileBase: safeName(title) };
+}
+
+// File name (without extension) a section's results are saved under
+function safeName(name) {
+  return name.replace(/[^a-zA-Z0-9]/g, "_");
+}
+
+// Section a JSON file was produced by. Department fan-out appends
+// "_<Departamento>" to the name, so fall back to the longest prefix match.
+function findSectionForFile(sections, filename) {
+  const base = stripRowFileExtension(filename);
+  const exact = sections.find((s) => s.fileBase === base);
+  if (exact) return exact;
+
+  return (
+    sections
+      .filter((s) => base.startsWith(s.fileBase + "_"))
+      .sort((a, b) => b.fileBase.length - a.fileBase.length)[0] || null
+  );
+}
+
+// Sections whose title contains one of `filters` (case insensitive), e.g.
+// from "--sections tickets,glitches". No filters keeps every section; a
+// filter that matches nothing is an error rather than a silent no-op.
+function filterSections(sections, filters) {
+  if (!filters || filters.length === 0) return sections;
+
+  const matches = (section, filter) =>
+    section.title.toLowerCase().includes(filter.toLowerCase());
+  const unmatched = filters.filter((f) => !sections.some((s) => matches(s, f)));
+  if (unmatched.length > 0) {
+    throw new Error(`No section matches: ${unmatched.join(", ")}`);
+  }
+  return sections.filter((s) => filters.some((f) => matches(s, f)));
+}
+
+// Splits SQL into code, string and comment chunks so placeholders and
+// statement separators are only looked for in actual code. Without this,
+// literals like '00:00:00' or ':' inside CONCAT would look like placeholders.
+function tokenize(sql) {
+  const chunks = [];
+  let code = "";
+  let i = 0;
+
+  const flushCode = () => {
+    if (code) chunks.push({ type: "code", text: code });
+    code = "";
+  };
+
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    if (ch === "'" || ch === '"' || ch === "`") {
+      flushCode();
+      let j = i + 1;
+      while (j < sql.length) {
+        if (sql[j] === "\\" && ch !== "`") {
+          j += 2;
+          continue;
+        }
+        if (sql[j] === ch) {
+          // Doubled quote is an escaped quote
+          if (sql[j + 1] === ch) {
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        j++;
+      }
+      chunks.push({ type: "string", text: sql.slice(i, j + 1) });
+      i = j + 1;
+    } else if ((ch === "-" && next === "-") || ch === "#") {
+      flushCode();
+      let j = sql.indexOf("\n", i);
+      if (j === -1) j = sql.length;
+      chunks.push({ type: "comment", text: sql.slice(i, j) });
+      i = j;
+    } else if (ch === "/" && next === "*") {
+      flushCode();
+      let j = sql.indexOf("*/", i + 2);
+      j = j === -1 ? sql.length : j + 2;
+      chunks.push({ type: "comment", text: sql.slice(i, j) });
+      i = j;
+    } else {
+      code += ch;
+      i++;
+    }
+  }
+  flushCode();
+
+  return chunks;
+}
+
+// Splits a section body on ";" into statements, dropping the ones that are
+// only whitespace or comments.
+function splitStatements(sql) {
+  const statements = [];
+  let current = "";
+  let hasCode = false;
+
+  for (const chunk of tokenize(sql)) {
+    if (chunk.type !== "code") {
+      current += chunk.text;
+      if (chunk.type === "string") hasCode = true;
+      continue;
+    }
+    const parts = chunk.text.split(";");
+    parts.forEach((part, index) => {
+      if (index > 0) {
+        if (hasCode) statements.push(current.trim());
+        current = "";
+        hasCode = false;
+      }
+      current += part;
+      if (part.trim()) hasCode = true;
+    });
+  }
+  if (hasCode) statements.push(current.trim());
+
+  return statements;
+}
+
+// ":name" not preceded by a word character or another colon
+const PLACEHOLDER_RE = /(^|[^\w:]):([A-Za-z_]\w*)/g;
+
+// Rewrites ":name" placeholders into "?" for a mysql2 prepared statement.
+// Returns the rewritten SQL and the parameter names in positional order.
+function compilePlaceholders(sql) {
+  const params = [];
+  let compiled = "";
+
+  for (const chunk of tokenize(sql)) {
+    if (chunk.type !== "code") {
+      compiled += chunk.text;
+      continue;
+    }
+    compiled += chunk.text.replace(PLACEHOLDER_RE, (match, prefix, name) => {
+      params.push(name);
+      return `${prefix}?`;
+    });
+  }
+
+  return { sql: compiled, params };
+}
+
+// The statements of a section body ready to run, whatever the data source:
+// placeholders replaced by "?" and `args` the values for them, in order.
+// `values` maps parameter names (unitId, fromDate...) to values.
+function prepareStatements(sql, values) {
+  return splitStatements(sql).map((statement) => {
+    const compiled = compilePlaceholders(statement);
+    return { sql: compiled.sql, args: compiled.params.map((name) => values[name]) };
+  });
+}
+
+// Unique placeholder names used anywhere in a section, in order of appearance
+function sectionParameters(sql) {
+  const names = [];
+  for (const statement of splitStatements(sql)) {
+    for (const name of compilePlaceholders(statement).params) {
+      if (!names.includes(name)) names.push(name);
+    }
+  }
+  return names;
+}
+
+module.exports = {
+  parseQueryFile,
+  listQueryFiles,
+  loadQueryFiles,
+  findSectionForFile,
+  filterSections,
+  safeName,
+  tokenize,
+  splitStatements,
+  compilePlaceholders,
+  prepareStatements,
+  sectionParameters,
+};
@@ -0,0 +1,146 @@
+// "Validación" sheet: the "Acumulado" rows json_to_excel.js works out from
+// the monthly rows, checked against the totals a query computes directly in
+// SQL (Consultas_Anuales.txt). A section names the one it checks with
+// "-- @reconcile: <title>"; every metric column both have is compared per
+// unit, within the "reconcileTolerance" of config/reports.json for its kind.
+
+const { typedValue } = require("./cells");
+const { parseDuration } = require("./duration");
+
+const VALIDATION_SHEET_NAME = "Validación";
+
+const STATUS_LABELS = {
+  ok: "OK",
+  mismatch: "Diferencia",
+  missingAccumulated: "Falta en el Acumulado",
+  missingTotal: "Falta en SQL",
+};
+
+const text = (value) => typedValue(value === null ? "" : value, "text");
+
+// Comparable number of a value: seconds for durations, percentage points
+// for percentages, the number itself otherwise
+function measure(value, kind) {
+  if (value === undefined || value === null || value === "") return null;
+  if (kind === "duration") return parseDuration(String(value));
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+}
+
+// Floating point noise (0.1 + 0.2) must not count as a difference
+const round = (number) => Math.round(number * 10000) / 10000;
+
+// Rows of both sides by unit. Reports without Nombre_Unidad have a single
+// row per side, compared with each other.
+function byUnit(rows) {
+  const units = new Map();
+  for (const row of rows) {
+    units.set(row.Nombre_Unidad === undefined ? "" : String(row.Nombre_Unidad), row);
+  }
+  return units;
+}
+
+// Compares `accumulated` (the JS "Acumulado" rows of section `checked`) with
+// `totals` (the SQL rows of section `title`). `kinds` are the column kinds
+// of the totals. Returns { title, checked, checks } with one check per unit
+// and metric: { unit, metric, kind, accumulated, total, difference,
+// tolerance, status }.
+function reconcileTotals({ title, checked, accumulated, totals, kinds, tolerance }) {
+  const metrics = Object.keys(kinds).filter(
+    (column) =>
+      kinds[column] !== "text" &&
+      column !== "Nombre_Unidad" &&
+      accumulated.some((row) => row[column] !== undefined)
+  );
+  const jsRows = byUnit(accumulated);
+  const sqlRows = byUnit(totals);
+  const units = [...new Set([...sqlRows.keys(), ...jsRows.keys()])];
+
+  const checks = [];
+  for (const unit of units) {
+    const jsRow = jsRows.get(unit);
+    const sqlRow = sqlRows.get(unit);
+    for (const metric of metrics) {
+      const kind = kinds[metric];
+      const check = {
+        unit,
+        metric,
+        kind,
+        accumulated: jsRow ? jsRow[metric] : null,
+        total: sqlRow ? sqlRow[metric] : null,
+        difference: null,
+        tolerance: tolerance[kind] || 0,
+      };
+      const js = jsRow ? measure(jsRow[metric], kind) : null;
+      const sql = sqlRow ? measure(sqlRow[metric], kind) : null;
+      if (js === null) {
+        check.status = "missingAccumulated";
+      } else if (sql === null) {
+        check.status = "missingTotal";
+      } else {
+        check.difference = round(sql - js);
+        check.status = Math.abs(check.difference) <= check.tolerance ? "ok" : "mismatch";
+      }
+      checks.push(check);
+    }
+  }
+  return { title, checked, checks };
+}
+
+// Checks of a result that are not "ok"
+function discrepancies(result) {
+  return result.checks.filter((c) => c.status !== "ok");
+}
+
+// `results` as returned by reconcileTotals, one per reconciled section
+function buildValidationLayout(results) {
+  const rows = [
+    { role: "title", cells: [text("VALIDACIÓN: ACUMULADO vs TOTALES SQL")] },
+    {
+      role: "data",
+      cells: [text("Diferencia = total SQL - Acumulado; tiempos en segundos, porcentajes en puntos")],
+    },
+    { role: "spacer", cells: [] },
+    {
+      role: "header",
+      cells: [
+        "Sección",
+        "Comparada con",
+        "Unidad",
+        "Métrica",
+        "Acumulado",
+        "Total SQL",
+        "Diferencia",
+        "Tolerancia",
+        "Estado",
+      ].map(text),
+    },
+  ];
+
+  for (const result of results) {
+    for (const check of result.checks) {
+      rows.push({
+        role: "data",
+        cells: [
+          text(result.title),
+          text(result.checked),
+          text(check.unit),
+          text(check.metric),
+          typedValue(check.accumulated, check.kind),
+          typedValue(check.total, check.kind),
+          check.difference === null ? text("") : typedValue(check.difference, "number"),
+          typedValue(check.tolerance, "number"),
+          text(STATUS_LABELS[check.status]),
+        ],
+      });
+    }
+  }
+  return { rows, pivotBlocks: [] };
+}
+
+module.exports = {
+  VALIDATION_SHEET_NAME,
+  reconcileTotals,
+  discrepancies,
+  buildValidationLayout,
+};
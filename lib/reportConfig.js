@@ -0,0 +1,444 @@
+// Report definitions (config/reports.json): what both scripts know about a
+// report besides its SQL. The defaults apply to every report; "reports"
+// declares, per section title of the query file, the same things the
+// "-- @" metadata lines can (see queryFile.js) plus column types and the
+// values missing months are filled with, and "summary" what the "Resumen"
+// sheet shows (see summary.js):
+//
+//   {
+//     "defaultWorkbook": "General",
+//     "sheetNameLength": 31,
+//     "pivotMetrics": ["Cantidad_Tickets", ...],
+//     "zeroFill": [{ "column": "Cantidad*", "value": 0 }, ...],
+//     "reconcileTolerance": { "integer": 0, "duration": 1, ... },
+//     "reports": {
+//       "TICKETS GENERAL": {
+//         "workbook": "General",
+//         "sheet": "Tickets",
+//         "key": ["Mes_Anio", "Nombre_Unidad"],
+//         "pivot": ["Cantidad_Tickets"],
+//         "pivotBy": ["Mes_Anio", "Nombre_Unidad"],
+//         "columns": {
+//           "Cantidad_Tickets": { "type": "integer", "aggregate": "sum" }
+//         },
+//         "zeroFill": { "Porcentaje_Cumplimiento": "0.00" }
+//       }
+//     },
+//     "summary": {
+//       "tables": [{ "title": "TICKETS", "columns": [
+//         { "report": "TICKETS GENERAL", "column": "Cantidad_Tickets", "label": "Tickets" }
+//       ] }],
+//       "monthRanking": { "title": "...", "report": "TICKETS GENERAL",
+//                         "metric": "Porcentaje_Cumplimiento", "activity": "Cantidad_Tickets" }
+//     }
+//   }
+//
+// The file is checked when loaded; a report that says something different
+// from its section's metadata, or that does not match the data it is built
+// from, is an error naming both.
+
+const fs = require("fs");
+const { KINDS, columnKinds, typedValue } = require("./cells");
+const { isDuration } = require("./duration");
+const { parseColumnSpec } = require("./aggregators");
+const { ROW_FILE_EXTENSIONS } = require("./rowFiles");
+
+const DEFAULT_CONFIG_FILE = "config/reports.json";
+
+// Excel refuses longer sheet names
+const EXCEL_SHEET_NAME_LIMIT = 31;
+
+const DEFAULT_CONFIG = {
+  // Workbook of the general sections; it also gets the "Resumen" sheet
+  defaultWorkbook: "General",
+  sheetNameLength: EXCEL_SHEET_NAME_LIMIT,
+  // Metrics pivoted when a report declares none (sections without a
+  // definition in "reports"), in this order, as long as the data has the
+  // column
+  pivotMetrics: [
+    "Cantidad_Tickets",
+    "Cantidad_Total_Tickets_Glitch",
+    "Total_Tickets_Mantenimiento",
+    "Total_Tickets_TI",
+    "Total_Tickets_LostAndFound",
+    "Total_Tiempo_Productivo",
+    "Promedio_Tiempo_Productivo",
+    "Promedio_Tiempo_Estimado",
+    "Porcentaje_Cumplimiento",
+  ],
+  // Values of the months a unit has no row for, by column name ("*" matches
+  // anything); the first matching rule wins
+  zeroFill: [
+    { column: "Cantidad*", value: 0 },
+    { column: "Total_Tickets*", value: 0 },
+    { column: "*Tiempo*", value: "0:00:00" },
+    { column: "*Porcentaje*", value: "0.00" },
+    { column: "*", value: 0 },
+  ],
+  // Largest difference between an "Acumulado" row and the SQL total it is
+  // reconciled with (see reconcile.js), by column kind: seconds for
+  // durations, percentage points for percentages
+  reconcileTolerance: { integer: 0, number: 0.01, percent: 0.01, duration: 1 },
+  reports: {},
+  // Tables of the "Resumen" sheet, from the reports above (see summary.js)
+  summary: { tables: [], monthRanking: null },
+};
+
+// Zero value of a declared column type
+const TYPE_ZERO = {
+  text: "",
+  integer: 0,
+  number: 0,
+  percent: "0.00",
+  duration: "0:00:00",
+};
+
+const REPORT_KEYS = [
+  "scope",
+  "workbook",
+  "sheet",
+  "aggregate",
+  "format",
+  "key",
+  "pivot",
+  "pivotBy",
+  "columns",
+  "zeroFill",
+  "reconcile",
+  "layout",
+  "window",
+  "drilldown",
+];
+
+const isText = (value) => typeof value === "string" && value.trim() !== "";
+const isFillValue = (value) => typeof value === "number" || typeof value === "string";
+
+function assertTextList(value, what) {
+  if (!Array.isArray(value) || !value.every(isText)) {
+    throw new Error(`${what} must be a list of column names`);
+  }
+}
+
+function validateReport(title, report) {
+  const where = `report '${title}'`;
+  if (!report || typeof report !== "object" || Array.isArray(report)) {
+    throw new Error(`${where} must be an object`);
+  }
+  for (const key of Object.keys(report)) {
+    if (!REPORT_KEYS.includes(key)) {
+      throw new Error(`${where}: unknown key "${key}" (expected ${REPORT_KEYS.join(", ")})`);
+    }
+  }
+  if (report.scope !== undefined && !["unit", "general"].includes(report.scope)) {
+    throw new Error(`${where}: "scope" must be "unit" or "general" (got '${report.scope}')`);
+  }
+  for (const key of ["workbook", "sheet", "aggregate", "reconcile", "layout", "drilldown"]) {
+    if (report[key] !== undefined && !isText(report[key])) {
+      throw new Error(`${where}: "${key}" must be a non-empty string`);
+    }
+  }
+  if (report.format !== undefined && !ROW_FILE_EXTENSIONS[report.format]) {
+    throw new Error(
+      `${where}: "format" must be one of ${Object.keys(ROW_FILE_EXTENSIONS).join(", ")}`
+    );
+  }
+  if (report.window !== undefined && !(Number.isInteger(report.window) && report.window >= 1)) {
+    throw new Error(`${where}: "window" must be a whole number of days`);
+  }
+  if (report.key !== undefined) {
+    assertTextList(report.key, `${where}: "key"`);
+    if (report.key.length === 0) throw new Error(`${where}: "key" needs at least one column`);
+  }
+  if (report.pivot !== undefined) assertTextList(report.pivot, `${where}: "pivot"`);
+  if (report.pivotBy !== undefined) {
+    assertTextList(report.pivotBy, `${where}: "pivotBy"`);
+    if (report.pivotBy.length !== 2) {
+      throw new Error(`${where}: "pivotBy" needs a row and a column key`);
+    }
+  }
+
+  for (const [column, definition] of Object.entries(report.columns || {})) {
+    const what = `${where}, column ${column}`;
+    if (!definition || typeof definition !== "object") {
+      throw new Error(`${what}: expected { "type": ..., "aggregate": ... }`);
+    }
+    for (const key of Object.keys(definition)) {
+      if (!["type", "aggregate"].includes(key)) {
+        throw new Error(`${what}: unknown key "${key}" (expected type, aggregate)`);
+      }
+    }
+    if (definition.type !== undefined && !KINDS.includes(definition.type)) {
+      throw new Error(`${what}: "type" must be one of ${KINDS.join(", ")}`);
+    }
+    if (definition.aggregate !== undefined) {
+      try {
+        parseColumnSpec(`${column}=${definition.aggregate}`);
+      } catch (err) {
+        throw new Error(`${what}: ${err.message}`);
+      }
+    }
+  }
+  for (const [column, value] of Object.entries(report.zeroFill || {})) {
+    if (!isFillValue(value)) {
+      throw new Error(`${where}: "zeroFill" for ${column} must be a number or a string`);
+    }
+  }
+}
+
+// A column of the summary must be a declared column of a declared report
+function assertReportColumn(config, where, report, column) {
+  if (!config.reports[report]) {
+    throw new Error(`${where}: no report '${report}' in "reports"`);
+  }
+  if (!(config.reports[report].columns || {})[column]) {
+    throw new Error(`${where}: '${column}' is not one of the "columns" of report '${report}'`);
+  }
+}
+
+// An object with the text entries `keys`, and nothing but those and `others`
+function assertKeys(value, keys, where, others = []) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new Error(`${where} must be an object`);
+  }
+  for (const key of keys) {
+    if (!isText(value[key])) throw new Error(`${where}: "${key}" must be a non-empty string`);
+  }
+  const expected = [...keys, ...others];
+  for (const key of Object.keys(value)) {
+    if (!expected.includes(key)) {
+      throw new Error(`${where}: unknown key "${key}" (expected ${expected.join(", ")})`);
+    }
+  }
+}
+
+function validateSummary(config) {
+  const { summary } = config;
+  if (!summary || typeof summary !== "object" || !Array.isArray(summary.tables)) {
+    throw new Error('"summary" must be { "tables": [...], "monthRanking": {...} }');
+  }
+  for (const key of Object.keys(summary)) {
+    if (!["tables", "monthRanking"].includes(key)) {
+      throw new Error(`"summary": unknown key "${key}" (expected tables, monthRanking)`);
+    }
+  }
+  summary.tables.forEach((table, index) => {
+    const where = `"summary" table ${index + 1}`;
+    assertKeys(table, ["title"], where, ["columns"]);
+    if (!Array.isArray(table.columns) || table.columns.length === 0) {
+      throw new Error(`${where}: "columns" must be a non-empty list`);
+    }
+    table.columns.forEach((column, i) => {
+      const what = `${where}, column ${i + 1}`;
+      assertKeys(column, ["report", "column", "label"], what);
+      assertReportColumn(config, what, column.report, column.column);
+    });
+  });
+  const ranking = summary.monthRanking;
+  if (ranking !== undefined && ranking !== null) {
+    const where = '"summary" monthRanking';
+    assertKeys(ranking, ["title", "report", "metric", "activity"], where);
+    assertReportColumn(config, where, ranking.report, ranking.metric);
+    assertReportColumn(config, where, ranking.report, ranking.activity);
+  }
+}
+
+function validateConfig(config) {
+  for (const key of Object.keys(config)) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_CONFIG, key)) {
+      throw new Error(
+        `unknown key "${key}" (expected ${Object.keys(DEFAULT_CONFIG).join(", ")})`
+      );
+    }
+  }
+  if (!isText(config.defaultWorkbook)) {
+    throw new Error('"defaultWorkbook" must be a non-empty string');
+  }
+  const length = config.sheetNameLength;
+  if (!Number.isInteger(length) || length < 1 || length > EXCEL_SHEET_NAME_LIMIT) {
+    throw new Error(`"sheetNameLength" must be an integer from 1 to ${EXCEL_SHEET_NAME_LIMIT}`);
+  }
+  assertTextList(config.pivotMetrics, '"pivotMetrics"');
+  if (
+    !Array.isArray(config.zeroFill) ||
+    !config.zeroFill.every((rule) => rule && isText(rule.column) && isFillValue(rule.value))
+  ) {
+    throw new Error('"zeroFill" must be a list of { "column": pattern, "value": number or string }');
+  }
+  const tolerance = config.reconcileTolerance;
+  if (
+    !tolerance ||
+    typeof tolerance !== "object" ||
+    !Object.entries(tolerance).every(
+      ([kind, value]) => KINDS.includes(kind) && typeof value === "number" && value >= 0
+    )
+  ) {
+    throw new Error('"reconcileTolerance" must map column kinds to numbers of at least 0');
+  }
+  if (!config.reports || typeof config.reports !== "object" || Array.isArray(config.reports)) {
+    throw new Error('"reports" must be an object keyed by section title');
+  }
+  for (const [title, report] of Object.entries(config.reports)) {
+    validateReport(title, report);
+  }
+  validateSummary(config);
+}
+
+function loadReportConfig(file = DEFAULT_CONFIG_FILE) {
+  if (!fs.existsSync(file)) return { ...DEFAULT_CONFIG };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  const config = { ...DEFAULT_CONFIG, ...parsed };
+  try {
+    validateConfig(config);
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  return config;
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Folds the config's report definitions into the metadata of the matching
+// sections (`section.meta`), so the rest of the code reads one place:
+// `meta.types` holds the declared column types and `meta.zeroFill` the
+// declared fill values. Saying something different from a "-- @" line of
+// the section is an error. Returns the titles of the reports no section
+// matched, for the caller to warn about.
+function applyReportConfig(sections, config, file = DEFAULT_CONFIG_FILE) {
+  const titles = new Set(sections.map((s) => s.title));
+
+  for (const section of sections) {
+    const report = config.reports[section.title];
+    if (!report) continue;
+    const meta = { ...section.meta };
+    const conflict = (metaKey, configKey, column = null) =>
+      new Error(
+        `Section '${section.title}': @${metaKey}${column ? ` for ${column}` : ""} in the query file and "${configKey}"${
+          column ? ` of ${column}` : ""
+        } in ${file} disagree`
+      );
+
+    for (const key of [
+      "scope",
+      "workbook",
+      "sheet",
+      "aggregate",
+      "format",
+      "key",
+      "pivot",
+      "pivotBy",
+      "reconcile",
+      "layout",
+      "window",
+      "drilldown",
+    ]) {
+      if (report[key] === undefined) continue;
+      if (meta[key] !== undefined && !sameValue(meta[key], report[key])) {
+        throw conflict(key, key);
+      }
+      meta[key] = report[key];
+    }
+
+    const types = {};
+    let aggregates = {};
+    for (const [column, definition] of Object.entries(report.columns || {})) {
+      if (definition.type) types[column] = definition.type;
+      if (definition.aggregate) {
+        aggregates = { ...aggregates, ...parseColumnSpec(`${column}=${definition.aggregate}`) };
+      }
+    }
+    for (const [column, entry] of Object.entries(aggregates)) {
+      const declared = meta.columns && meta.columns[column];
+      if (declared && !sameValue(declared, entry)) throw conflict("columns", "aggregate", column);
+    }
+    if (Object.keys(aggregates).length > 0) meta.columns = { ...meta.columns, ...aggregates };
+    if (Object.keys(types).length > 0) meta.types = types;
+    if (report.zeroFill) meta.zeroFill = { ...report.zeroFill };
+
+    section.meta = meta;
+  }
+
+  return Object.keys(config.reports).filter((title) => !titles.has(title));
+}
+
+function patternMatches(pattern, column) {
+  const source = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`).test(column);
+}
+
+// Value a missing month gets in `column`: the report's own "zeroFill",
+// else the zero of its declared type, else the first matching default rule
+function zeroValue(column, meta = {}, config = DEFAULT_CONFIG) {
+  if (meta.zeroFill && meta.zeroFill[column] !== undefined) return meta.zeroFill[column];
+  if (meta.types && meta.types[column]) return TYPE_ZERO[meta.types[column]];
+  const rule = config.zeroFill.find((r) => patternMatches(r.column, column));
+  return rule ? rule.value : 0;
+}
+
+function fitsType(value, type) {
+  if (value === undefined || value === null || value === "") return true;
+  switch (type) {
+    case "integer":
+      return typedValue(value, type).kind === type && Number.isInteger(Number(value));
+    case "duration":
+      return isDuration(value) || Number(value) === 0;
+    case "text":
+      return true;
+    default:
+      return typedValue(value, type).kind === type;
+  }
+}
+
+// Checks the rows of a file against its report definition: declared
+// columns, key columns and fill values must exist, and every value must fit
+// its declared type. Throws naming the column and the first row that
+// disagrees (the caller knows the file).
+function validateReportData(meta, rows, file = DEFAULT_CONFIG_FILE) {
+  if (rows.length === 0) return;
+  const columns = [...new Set(rows.flatMap((r) => Object.keys(r)))];
+  const declared = [
+    ...Object.keys(meta.types || {}),
+    ...(meta.key || []),
+    ...Object.keys(meta.zeroFill || {}),
+  ];
+  const missing = [...new Set(declared)].filter((c) => !columns.includes(c));
+  if (missing.length > 0) {
+    throw new Error(
+      `column(s) ${missing.join(", ")} of the report definition not in the data (found ${columns.join(", ")})`
+    );
+  }
+
+  for (const [column, type] of Object.entries(meta.types || {})) {
+    const index = rows.findIndex((r) => !fitsType(r[column], type));
+    if (index !== -1) {
+      throw new Error(
+        `${column} is declared ${type} in ${file} but row ${index + 1} has '${rows[index][column]}'`
+      );
+    }
+  }
+}
+
+// Column kinds of a sheet: the declared types, the rest guessed from the
+// values (see cells.js)
+function reportColumnKinds(rows, keys, meta = {}) {
+  return { ...columnKinds(rows, keys), ...(meta.types || {}) };
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  DEFAULT_CONFIG,
+  EXCEL_SHEET_NAME_LIMIT,
+  loadReportConfig,
+  applyReportConfig,
+  zeroValue,
+  validateReportData,
+  reportColumnKinds,
+};
@@ -0,0 +1,158 @@
+// Files holding the rows of a section, written by the extract and read by
+// the workbook builder:
+//
+//   .json    a JSON array; the monthly aggregates, small enough to load whole
+//   .ndjson  one JSON object per line; large raw exports ("-- @format:
+//            ndjson"), written and read one row at a time
+//
+// Both are written incrementally, so the extract never holds a whole result
+// set in memory.
+
+const fs = require("fs");
+const readline = require("readline");
+const { once } = require("events");
+
+const ROW_FILE_EXTENSIONS = {
+  json: ".json",
+  ndjson: ".ndjson",
+};
+
+// "json", "ndjson" or null for anything else
+function rowFileFormat(fileName) {
+  const lower = fileName.toLowerCase();
+  for (const [format, extension] of Object.entries(ROW_FILE_EXTENSIONS)) {
+    if (lower.endsWith(extension)) return format;
+  }
+  return null;
+}
+
+function stripRowFileExtension(fileName) {
+  return fileName.replace(/\.(nd)?json$/i, "");
+}
+
+// Text written piece by piece to a temporary file that close() renames into
+// place, so a failed or retried write never leaves half a file behind.
+// write() waits for the buffer to drain instead of queueing everything.
+function createFileWriter(file) {
+  const partial = `${file}.partial`;
+  const stream = fs.createWriteStream(partial);
+  let failure = null;
+  stream.on("error", (err) => (failure = err));
+
+  return {
+    async write(text) {
+      if (failure) throw failure;
+      if (!stream.write(text)) await once(stream, "drain");
+    },
+    async close() {
+      await new Promise((resolve, reject) => {
+        if (failure) return reject(failure);
+        stream.on("error", reject);
+        stream.end(resolve);
+      });
+      fs.renameSync(partial, file);
+    },
+    abort() {
+      stream.destroy();
+      fs.rmSync(partial, { force: true });
+    },
+  };
+}
+
+// Writes rows one at a time (see createFileWriter). The .json layout
+// matches JSON.stringify(rows, null, 2).
+function createRowWriter(file, format = "json") {
+  if (!ROW_FILE_EXTENSIONS[format]) {
+    throw new Error(`Unknown row file format '${format}'`);
+  }
+  const output = createFileWriter(file);
+  let count = 0;
+
+  return {
+    async write(row) {
+      if (format === "ndjson") {
+        await output.write(JSON.stringify(row) + "\n");
+      } else {
+        const item = "  " + JSON.stringify(row, null, 2).replace(/\n/g, "\n  ");
+        await output.write((count === 0 ? "[\n" : ",\n") + item);
+      }
+      count++;
+    },
+    // Returns the number of rows written
+    async close() {
+      if (format === "json") await output.write(count === 0 ? "[]" : "\n]");
+      await output.close();
+      return count;
+    },
+    abort: output.abort,
+  };
+}
+
+// Rows of a row file, one at a time. NDJSON is read line by line; a JSON
+// array has to be parsed whole.
+async function* readRows(file) {
+  if (rowFileFormat(file) !== "ndjson") {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!Array.isArray(data)) throw new Error(`${file} does not hold a JSON array`);
+    yield* data;
+    return;
+  }
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file, "utf8"),
+    crlfDelay: Infinity,
+  });
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+    let row;
+    try {
+      row = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`${file}:${lineNumber}: ${err.message}`);
+    }
+    yield row;
+  }
+}
+
+// The first `count` items of a (sync or async) iterable, plus an async
+// iterable that yields those again followed by the rest. Used to look at
+// the start of a stream (column kinds, widths) before consuming it.
+async function peek(iterable, count) {
+  const iterator = iterable[Symbol.asyncIterator]
+    ? iterable[Symbol.asyncIterator]()
+    : iterable[Symbol.iterator]();
+  const head = [];
+  let done = false;
+  while (head.length < count) {
+    const next = await iterator.next();
+    if (next.done) {
+      done = true;
+      break;
+    }
+    head.push(next.value);
+  }
+
+  async function* all() {
+    yield* head;
+    if (done) return;
+    for (;;) {
+      const next = await iterator.next();
+      if (next.done) return;
+      yield next.value;
+    }
+  }
+
+  return { head, rows: all() };
+}
+
+module.exports = {
+  ROW_FILE_EXTENSIONS,
+  rowFileFormat,
+  stripRowFileExtension,
+  createFileWriter,
+  createRowWriter,
+  readRows,
+  peek,
+};
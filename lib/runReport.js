@@ -0,0 +1,140 @@
+// Run report: one entry per extracted section/binding and per converted
+// file, with its status, row count, duration and error. It is printed as a
+// table at the end of a run and saved as JSON (by default
+// Input/.run-report.json, next to the manifest) so a scheduled run can be
+// checked afterwards.
+
+const fs = require("fs");
+const path = require("path");
+
+const REPORT_FILE = ".run-report.json";
+
+// "empty" is a query or file without rows: not an error, but with --strict
+// it counts as one, since it usually means a broken filter or period.
+const STATUSES = ["ok", "empty", "failed"];
+
+function createRunReport(command) {
+  return {
+    command,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    // Message of the error that stopped the run, if any
+    fatal: null,
+    entries: [],
+  };
+}
+
+function addEntry(report, entry) {
+  const full = {
+    stage: null,
+    section: null,
+    unit: null,
+    binding: null,
+    file: null,
+    status: "ok",
+    rows: null,
+    durationMs: null,
+    error: null,
+    // Outputs of an earlier run deleted because this one failed
+    staleRemoved: [],
+    ...entry,
+  };
+  if (!STATUSES.includes(full.status)) {
+    throw new Error(`Unknown run report status '${full.status}'`);
+  }
+  report.entries.push(full);
+  return full;
+}
+
+// Entries that make the run fail: errors, and with `strict` empty results
+function reportFailures(report, { strict = false } = {}) {
+  return report.entries.filter(
+    (e) => e.status === "failed" || (strict && e.status === "empty")
+  );
+}
+
+function summarize(report) {
+  const summary = {};
+  for (const status of STATUSES) {
+    summary[status] = report.entries.filter((e) => e.status === status).length;
+  }
+  return summary;
+}
+
+function formatDurationMs(ms) {
+  if (ms === null) return "";
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+// Plain text table; errors are cut so one bad query doesn't wrap the table
+function formatReportTable(report) {
+  const header = ["Stage", "Section", "Unit", "Status", "Rows", "Time", "Error"];
+  const rows = report.entries.map((e) => [
+    e.stage || "",
+    e.section || "",
+    e.unit || e.binding || "",
+    e.status,
+    e.rows === null ? "" : String(e.rows),
+    formatDurationMs(e.durationMs),
+    e.error ? e.error.replace(/\s+/g, " ").slice(0, 60) : "",
+  ]);
+
+  const widths = header.map((h, i) =>
+    Math.max(h.length, ...rows.map((r) => r[i].length))
+  );
+  const line = (cells) =>
+    cells
+      .map((c, i) => c.padEnd(widths[i]))
+      .join("  ")
+      .trimEnd();
+
+  const summary = summarize(report);
+  return [
+    line(header),
+    line(widths.map((w) => "-".repeat(w))),
+    ...rows.map(line),
+    "",
+    STATUSES.map((s) => `${s}: ${summary[s]}`).join(", "),
+  ].join("\n");
+}
+
+function writeRunReport(file, report) {
+  const finished = { ...report, summary: summarize(report) };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(finished, null, 2) + "\n");
+  return file;
+}
+
+// End of a run: prints the table, saves the report (not on --dry-run) and
+// returns the exit code: 1 after a fatal error, 2 when an entry failed
+// (or was empty, with --strict), 0 otherwise.
+function finishRunReport(report, options) {
+  report.finishedAt = new Date().toISOString();
+  if (report.entries.length > 0) {
+    console.log("\n" + formatReportTable(report));
+  }
+  if (!options.dryRun) {
+    console.log(`Run report saved to ${writeRunReport(options.reportFile, report)}`);
+  }
+
+  if (report.fatal) return 1;
+  const failures = reportFailures(report, { strict: options.strict });
+  if (failures.length > 0) {
+    console.error(
+      `Finished with ${failures.length} failure(s)${options.strict ? " (--strict)" : ""}.`
+    );
+    return 2;
+  }
+  return 0;
+}
+
+module.exports = {
+  REPORT_FILE,
+  STATUSES,
+  createRunReport,
+  addEntry,
+  reportFailures,
+  formatReportTable,
+  writeRunReport,
+  finishRunReport,
+};
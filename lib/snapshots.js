@@ -0,0 +1,128 @@
+// Snapshot history of the extracted data. Every extract copies its row
+// files and manifest into <input>/.snapshots/<timestamp>/, so later runs
+// can be compared with `node cli.js diff` (see diff.js) and late changes
+// (tickets closed after the month ended) show up instead of being silently
+// overwritten. The timestamp is the manifest's generatedAt.
+//
+// The snapshot's copy of the manifest says whether every query of the
+// extract succeeded ("complete"). A failed query removes its row files, so
+// an incomplete snapshot would show those sections as removed; only
+// snapshots marked complete are picked as the previous extract.
+
+const fs = require("fs");
+const path = require("path");
+const { readManifest, writeManifest, MANIFEST_FILE } = require("./manifest");
+const { rowFileFormat } = require("./rowFiles");
+
+const SNAPSHOTS_DIR = ".snapshots";
+
+// "2026-03-05T08:00:12.345Z" -> "2026-03-05T08-00-12-345Z"; sorts by time
+function snapshotName(isoDate) {
+  return isoDate.replace(/[:.]/g, "-");
+}
+
+// Row files under `dir` as paths relative to it (the top level and the unit
+// folders; dot files and folders are left out)
+function listRowFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  const files = [];
+  for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (item.name.startsWith(".")) continue;
+    if (item.isDirectory()) {
+      for (const name of fs.readdirSync(path.join(dir, item.name))) {
+        if (!name.startsWith(".") && rowFileFormat(name)) {
+          files.push(path.join(item.name, name));
+        }
+      }
+    } else if (rowFileFormat(item.name)) {
+      files.push(item.name);
+    }
+  }
+  return files.sort();
+}
+
+// A directory for a new snapshot: never an existing one, so two extracts
+// with the same timestamp do not merge ("<name>-1", "<name>-2"...)
+function newSnapshotDir(snapshotsDir, name) {
+  let target = path.join(snapshotsDir, name);
+  for (let i = 1; fs.existsSync(target); i++) {
+    target = path.join(snapshotsDir, `${name}-${i}`);
+  }
+  return target;
+}
+
+// Copies the extract in `inputDir` into a new snapshot and returns its path.
+// `failedSections` are the titles of the sections whose queries failed; with
+// any, the snapshot is marked incomplete.
+function createSnapshot(inputDir, snapshotsDir, { failedSections = [] } = {}) {
+  const manifest = readManifest(inputDir);
+  const generatedAt = manifest ? manifest.generatedAt : new Date().toISOString();
+  const target = newSnapshotDir(snapshotsDir, snapshotName(generatedAt));
+
+  for (const file of listRowFiles(inputDir)) {
+    fs.mkdirSync(path.dirname(path.join(target, file)), { recursive: true });
+    fs.copyFileSync(path.join(inputDir, file), path.join(target, file));
+  }
+  fs.mkdirSync(target, { recursive: true });
+  writeManifest(target, {
+    ...(manifest || { generatedAt }),
+    complete: failedSections.length === 0,
+    ...(failedSections.length > 0 ? { failedSections } : {}),
+  });
+  return target;
+}
+
+// Whether every query of the snapshot's extract succeeded. Snapshots that
+// do not say so (no manifest, or taken before it was recorded) are not
+// trusted.
+function isCompleteSnapshot(snapshotDir) {
+  const manifest = readManifest(snapshotDir);
+  return Boolean(manifest && manifest.complete === true);
+}
+
+// Snapshot names, oldest first; with `completeOnly`, only the ones marked
+// complete
+function listSnapshots(snapshotsDir, { completeOnly = false } = {}) {
+  if (!fs.existsSync(snapshotsDir)) return [];
+  return fs
+    .readdirSync(snapshotsDir, { withFileTypes: true })
+    .filter((item) => item.isDirectory())
+    .map((item) => item.name)
+    .filter((name) => !completeOnly || isCompleteSnapshot(path.join(snapshotsDir, name)))
+    .sort();
+}
+
+// A snapshot given on the command line: a snapshot name, or the path of
+// any directory with extracted data (e.g. Input itself)
+function resolveSnapshot(snapshotsDir, ref) {
+  const named = path.join(snapshotsDir, ref);
+  if (fs.existsSync(named)) return named;
+  if (fs.existsSync(ref)) return ref;
+  throw new Error(
+    `Snapshot '${ref}' not found (not a directory nor one of ${snapshotsDir}: ${
+      listSnapshots(snapshotsDir).join(", ") || "none"
+    })`
+  );
+}
+
+// The complete snapshot taken before the extract currently in `inputDir`:
+// the latest one older than its manifest, or simply the latest one
+function previousSnapshot(snapshotsDir, inputDir) {
+  const manifest = readManifest(inputDir);
+  const current = manifest ? snapshotName(manifest.generatedAt) : null;
+  const older = listSnapshots(snapshotsDir, { completeOnly: true }).filter(
+    (name) => !current || name < current
+  );
+  return older.length > 0 ? path.join(snapshotsDir, older[older.length - 1]) : null;
+}
+
+module.exports = {
+  SNAPSHOTS_DIR,
+  snapshotName,
+  listRowFiles,
+  createSnapshot,
+  isCompleteSnapshot,
+  listSnapshots,
+  resolveSnapshot,
+  previousSnapshot,
+};
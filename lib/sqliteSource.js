@@ -0,0 +1,244 @@
+// Embedded SQLite data source for the extract (--source sqlite): the real
+// query file runs end to end without a MySQL server. By default an in-memory
+// database is created from fixtures/sqlite/schema.sql (the production tables
+// the queries read) and seeded with fixtures/sqlite/seed.sql; --sqlite
+// <file> opens an existing database instead.
+//
+// SQLite lacks the MySQL functions the queries use (DATE_FORMAT,
+// TIME_TO_SEC...), so they are registered here with MySQL's behaviour.
+// "SET lc_time_names" is honoured per section for the month names of
+// DATE_FORMAT; other SET statements are ignored, and so are query timeouts.
+
+const fs = require("fs");
+const path = require("path");
+const { prepareStatements } = require("./queryFile");
+
+const FIXTURES_DIR = path.join(__dirname, "..", "fixtures", "sqlite");
+const SCHEMA_FILE = path.join(FIXTURES_DIR, "schema.sql");
+const SEED_FILE = path.join(FIXTURES_DIR, "seed.sql");
+
+const MONTH_NAMES = {
+  es_ES: [
+    "enero", "febrero", "marzo", "abril", "mayo", "junio",
+    "julio", "agosto", "septiembre", "octubre", "noviembre", "diciembre",
+  ],
+  en_US: [
+    "January", "February", "March", "April", "May", "June",
+    "July", "August", "September", "October", "November", "December",
+  ],
+};
+const DEFAULT_LOCALE = "en_US";
+
+// Highest number of arguments CONCAT accepts here
+const MAX_CONCAT_ARGS = 16;
+
+const SET_LOCALE = /^\s*SET\s+(?:SESSION\s+)?lc_time_names\s*=\s*'([^']*)'\s*$/i;
+const SET_STATEMENT = /^\s*SET\s/i;
+const LEADING_COMMENTS = /^(?:\s*--[^\n]*(?:\n|$))+/;
+
+// "2025-03-07 14:05:09" (or "2025-03-07") -> its parts, null if unparseable
+function parseDateTime(value) {
+  if (value === null || value === undefined) return null;
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}):(\d{2}))?/.exec(String(value));
+  if (!match) return null;
+  const [, year, month, day, hours = "00", minutes = "00", seconds = "00"] = match;
+  return {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hours: Number(hours),
+    minutes: Number(minutes),
+    seconds: Number(seconds),
+  };
+}
+
+const pad = (number) => String(number).padStart(2, "0");
+
+// The DATE_FORMAT specifiers the queries use; others print their letter,
+// as MySQL does
+function dateFormat(value, format, locale) {
+  const date = parseDateTime(value);
+  if (!date || format === null) return null;
+  const months = MONTH_NAMES[locale] || MONTH_NAMES[DEFAULT_LOCALE];
+  const specifiers = {
+    Y: String(date.year),
+    y: pad(date.year % 100),
+    m: pad(date.month),
+    c: String(date.month),
+    M: months[date.month - 1],
+    b: months[date.month - 1].slice(0, 3),
+    d: pad(date.day),
+    e: String(date.day),
+    H: pad(date.hours),
+    i: pad(date.minutes),
+    s: pad(date.seconds),
+    S: pad(date.seconds),
+    "%": "%",
+  };
+  return String(format).replace(/%(.)/g, (_, letter) =>
+    letter in specifiers ? specifiers[letter] : letter
+  );
+}
+
+// "01:33:11" / "-838:59:59" / "01:33:11.5" -> seconds
+function timeToSec(value) {
+  if (value === null || value === undefined) return null;
+  const match = /^(-)?(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec(String(value).trim());
+  if (!match) return null;
+  const [, sign, hours, minutes, seconds] = match;
+  const total = Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  return sign ? -total : total;
+}
+
+// Seconds -> "HH:MM:SS", with 4 decimals when not whole (as MySQL prints
+// SEC_TO_TIME(AVG(...)))
+function secToTime(value) {
+  if (value === null || value === undefined) return null;
+  const seconds = Number(value);
+  const sign = seconds < 0 ? "-" : "";
+  const absolute = Math.abs(seconds);
+  const whole = Math.floor(absolute);
+  const fraction = absolute - whole;
+  const text = `${sign}${pad(Math.floor(whole / 3600))}:${pad(Math.floor((whole % 3600) / 60))}:${pad(
+    whole % 60
+  )}`;
+  return fraction > 0 ? `${text}.${fraction.toFixed(4).slice(2)}` : text;
+}
+
+function lpad(value, length, padding) {
+  if (value === null || length === null || padding === null) return null;
+  const text = String(value);
+  if (text.length >= length) return text.slice(0, length);
+  if (padding === "") return null;
+  return (String(padding).repeat(length) + text).slice(-length);
+}
+
+// sql.js registers a function for the number of arguments its callback
+// declares, so variadic CONCAT is registered once per argument count
+function withArity(fn, count) {
+  return Object.defineProperty((...args) => fn(...args), "length", { value: count });
+}
+
+// `state.locale` is the lc_time_names of the section being stepped
+function registerMysqlFunctions(db, state) {
+  const nullable = (fn) => (value, ...rest) => (value === null ? null : fn(value, ...rest));
+
+  db.create_function("DATE_FORMAT", (value, format) => dateFormat(value, format, state.locale));
+  db.create_function("YEAR", (value) => {
+    const date = parseDateTime(value);
+    return date ? date.year : null;
+  });
+  db.create_function("MONTH", (value) => {
+    const date = parseDateTime(value);
+    return date ? date.month : null;
+  });
+  db.create_function("TIME_TO_SEC", timeToSec);
+  db.create_function("SEC_TO_TIME", secToTime);
+  db.create_function("FLOOR", nullable(Math.floor));
+  db.create_function("UCASE", nullable((value) => String(value).toUpperCase()));
+  db.create_function("LCASE", nullable((value) => String(value).toLowerCase()));
+  db.create_function("LEFT", (value, length) =>
+    value === null || length === null ? null : String(value).slice(0, Math.max(0, length))
+  );
+  db.create_function("LPAD", lpad);
+
+  // NULL when any argument is NULL, like MySQL (SQLite's own skips them)
+  const concat = (...args) => (args.some((a) => a === null) ? null : args.join(""));
+  for (let count = 1; count <= MAX_CONCAT_ARGS; count++) {
+    db.create_function("CONCAT", withArity(concat, count));
+  }
+}
+
+async function openDatabase(file) {
+  const initSqlJs = require("sql.js");
+  const SQL = await initSqlJs();
+  if (file) {
+    if (!fs.existsSync(file)) throw new Error(`SQLite database not found: ${file}`);
+    return new SQL.Database(fs.readFileSync(file));
+  }
+  const db = new SQL.Database();
+  db.exec(fs.readFileSync(SCHEMA_FILE, "utf8"));
+  db.exec(fs.readFileSync(SEED_FILE, "utf8"));
+  return db;
+}
+
+function createSqliteSource(options) {
+  const state = { locale: DEFAULT_LOCALE };
+  let opened = null;
+
+  // Opened on first use, so a dry run or a bad option never loads sql.js
+  const database = () => {
+    if (!opened) {
+      opened = openDatabase(options.sqliteFile).then((db) => {
+        registerMysqlFunctions(db, state);
+        return db;
+      });
+    }
+    return opened;
+  };
+
+  const selectAll = async (sql) => {
+    const [result] = (await database()).exec(sql);
+    if (!result) return [];
+    return result.values.map((values) =>
+      Object.fromEntries(result.columns.map((column, i) => [column, values[i]]))
+    );
+  };
+
+  return {
+    name: "sqlite",
+    async listUnits() {
+      const rows = await selectAll("SELECT idUnidad, nombreUnidad FROM unidad ORDER BY idUnidad");
+      return rows.map((u) => ({ id: u.idUnidad, name: u.nombreUnidad }));
+    },
+    async listDepartments() {
+      const rows = await selectAll(
+        "SELECT id_departamento, nombre_departamento FROM departamentos ORDER BY id_departamento"
+      );
+      return rows.map((d) => ({ id: d.id_departamento, name: d.nombre_departamento }));
+    },
+    // Sections run interleaved (--concurrency), so the section's locale is
+    // put back in place before every step
+    async runSection(job, writer) {
+      const db = await database();
+      const statements = prepareStatements(job.sql, job.values);
+      let locale = DEFAULT_LOCALE;
+
+      for (const [index, statement] of statements.entries()) {
+        const code = statement.sql.replace(LEADING_COMMENTS, "");
+        const setLocale = SET_LOCALE.exec(code);
+        if (setLocale) {
+          locale = setLocale[1];
+          continue;
+        }
+        if (SET_STATEMENT.test(code)) continue;
+
+        const prepared = db.prepare(statement.sql);
+        try {
+          prepared.bind(statement.args);
+          const isLast = index === statements.length - 1;
+          for (;;) {
+            state.locale = locale;
+            if (!prepared.step()) break;
+            if (isLast) await writer.write(prepared.getAsObject());
+          }
+        } finally {
+          prepared.free();
+        }
+      }
+    },
+    isTransientError: () => false,
+    async end() {
+      if (opened) (await opened).close();
+    },
+  };
+}
+
+module.exports = {
+  SCHEMA_FILE,
+  SEED_FILE,
+  dateFormat,
+  timeToSec,
+  secToTime,
+  createSqliteSource,
+};
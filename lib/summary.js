@@ -0,0 +1,166 @@
+// "Resumen" sheet of General.xlsx: headline figures per unit taken from the
+// reports already built for the other sheets (their "Acumulado" rows and
+// COMPARATIVA tables), so nothing is queried or aggregated twice.
+//
+// What it shows comes from the "summary" of config/reports.json:
+//
+//   "summary": {
+//     "tables": [
+//       { "title": "TICKETS",
+//         "columns": [{ "report": "TICKETS GENERAL", "column": "Cantidad_Tickets",
+//                       "label": "Tickets" }, ...] }
+//     ],
+//     "monthRanking": { "title": "MEJOR Y PEOR MES (CUMPLIMIENTO)",
+//                       "report": "TICKETS GENERAL",
+//                       "metric": "Porcentaje_Cumplimiento",
+//                       "activity": "Cantidad_Tickets" }
+//   }
+//
+// Each table has a row per unit with the given columns of each report's
+// "Acumulado" row, plus a TOTAL row. The month ranking gives the best and
+// worst month per unit, ranked by `metric` in the report's COMPARATIVA
+// table; months without activity (`activity` is 0, i.e. filled in by
+// fillMissingMonths) are not ranked.
+//
+// `reports` maps a section title to { data, accumulated, pivotData, spec,
+// kinds } as built by json_to_excel.js.
+
+const { typedValue } = require("./cells");
+const { aggregateColumn } = require("./aggregators");
+const { sortUnitNames } = require("./units");
+
+const SUMMARY_SHEET_NAME = "Resumen";
+
+function headerRow(labels) {
+  return {
+    role: "header",
+    cells: labels.map((label) => ({ value: label, kind: "text" })),
+  };
+}
+
+function cell(value, kind, column) {
+  return { ...typedValue(value, kind), column };
+}
+
+// Month rows ({ Mes, <unit>: value }) of the COMPARATIVA block of `metric`,
+// without its header and TOTAL rows
+function pivotMonths(pivotData, metric) {
+  const start = pivotData.findIndex((row) => row.metric === metric);
+  if (start === -1) return [];
+
+  const months = [];
+  // start + 1 is the column header row
+  for (let i = start + 2; i < pivotData.length; i++) {
+    const row = pivotData[i];
+    if (!row.Mes || row.Mes === "TOTAL") break;
+    months.push(row);
+  }
+  return months;
+}
+
+function kpiTable(table, reports, unitOrder) {
+  const columns = table.columns.filter((c) => {
+    const report = reports[c.report];
+    return report && report.accumulated.some((r) => c.column in r);
+  });
+  if (columns.length === 0) return [];
+
+  const units = new Set();
+  for (const { report } of columns) {
+    reports[report].accumulated.forEach((r) => units.add(r.Nombre_Unidad));
+  }
+
+  const rows = [
+    { role: "title", cells: [{ value: table.title, kind: "text" }] },
+    headerRow(["Unidad", ...columns.map((c) => c.label)]),
+  ];
+  for (const unit of sortUnitNames([...units], unitOrder)) {
+    const cells = [{ value: unit, kind: "text" }];
+    for (const { report, column } of columns) {
+      const { accumulated, kinds } = reports[report];
+      const row = accumulated.find((r) => r.Nombre_Unidad === unit);
+      cells.push(cell(row ? row[column] : "", kinds[column], column));
+    }
+    rows.push({ role: "data", cells });
+  }
+
+  // The units' "Acumulado" rows carry every column the report's aggregators
+  // need, so the same spec totals them.
+  const totals = [{ value: "TOTAL", kind: "text" }];
+  for (const { report, column } of columns) {
+    const { accumulated, spec, kinds } = reports[report];
+    totals.push(cell(aggregateColumn(accumulated, column, spec), kinds[column], column));
+  }
+  rows.push({ role: "total", cells: totals });
+
+  return rows;
+}
+
+function monthRanking(ranking, reports, unitOrder) {
+  const report = reports[ranking.report];
+  if (!report) return [];
+  const values = pivotMonths(report.pivotData, ranking.metric);
+  const activity = pivotMonths(report.pivotData, ranking.activity);
+  if (values.length === 0) return [];
+
+  const kind = report.kinds[ranking.metric];
+  const units = sortUnitNames(
+    Object.keys(values[0]).filter((key) => key !== "Mes"),
+    unitOrder
+  );
+
+  const rows = [
+    { role: "title", cells: [{ value: ranking.title, kind: "text" }] },
+    headerRow(["Unidad", "Mejor Mes", "Valor", "Peor Mes", "Valor"]),
+  ];
+  for (const unit of units) {
+    const active = values.filter((row, index) => {
+      const count = activity[index] ? Number(activity[index][unit]) : 1;
+      return count > 0;
+    });
+    if (active.length === 0) continue;
+
+    let best = active[0];
+    let worst = active[0];
+    for (const row of active) {
+      if (Number(row[unit]) > Number(best[unit])) best = row;
+      if (Number(row[unit]) < Number(worst[unit])) worst = row;
+    }
+    rows.push({
+      role: "data",
+      cells: [
+        { value: unit, kind: "text" },
+        { value: best.Mes, kind: "text" },
+        cell(best[unit], kind, ranking.metric),
+        { value: worst.Mes, kind: "text" },
+        cell(worst[unit], kind, ranking.metric),
+      ],
+    });
+  }
+
+  return rows;
+}
+
+// Layout (see xlsxWriter.js) of the summary sheet. `summary` is the
+// "summary" of config/reports.json.
+function buildSummaryLayout(reports, unitOrder, period, summary) {
+  const title = `RESUMEN EJECUTIVO: ${period.from} - ${period.to}`;
+  const rows = [{ role: "title", cells: [{ value: title, kind: "text" }] }];
+
+  const tables = [
+    ...summary.tables.map((table) => kpiTable(table, reports, unitOrder)),
+    summary.monthRanking ? monthRanking(summary.monthRanking, reports, unitOrder) : [],
+  ];
+  for (const table of tables) {
+    if (table.length === 0) continue;
+    rows.push({ role: "spacer", cells: [] });
+    rows.push(...table);
+  }
+
+  return { rows, pivotBlocks: [] };
+}
+
+module.exports = {
+  SUMMARY_SHEET_NAME,
+  buildSummaryLayout,
+};
@@ -0,0 +1,110 @@
+// The list of units (properties) a run covers. It drives the per-unit query
+// fan-out, the Input/<Unit> folder names and the column order of the pivot
+// tables, so both scripts have to agree on it.
+
+const fs = require("fs");
+
+const DEFAULT_CONFIG_FILE = "config/units.json";
+
+const DEFAULT_CONFIG = {
+  // "database": read the `unidad` table. "config": use `units` below.
+  source: "database",
+  include: [],
+  exclude: [],
+  order: [],
+  units: [],
+};
+
+function folderName(unitName) {
+  return unitName.replace(/[^a-zA-Z0-9]/g, "_");
+}
+
+function loadUnitsConfig(file = DEFAULT_CONFIG_FILE) {
+  if (!fs.existsSync(file)) return { ...DEFAULT_CONFIG };
+
+  const config = { ...DEFAULT_CONFIG, ...JSON.parse(fs.readFileSync(file, "utf8")) };
+  if (!["database", "config"].includes(config.source)) {
+    throw new Error(
+      `${file}: "source" must be "database" or "config" (got '${config.source}')`
+    );
+  }
+  if (config.source === "config" && config.units.length === 0) {
+    throw new Error(`${file}: "source" is "config" but "units" is empty`);
+  }
+  return config;
+}
+
+// --units / --exclude-units (`filters.include` / `filters.exclude`, see
+// options.js) override the include / exclude lists of the config
+function applyUnitFilters(config, filters = {}) {
+  const { include, exclude } = filters;
+  return {
+    ...config,
+    include: include !== undefined ? include : config.include,
+    exclude: exclude !== undefined ? exclude : config.exclude,
+  };
+}
+
+// Filters and order entries may name a unit by id or by name
+function matchesUnit(unit, key) {
+  return String(unit.id) === String(key) || unit.name === String(key);
+}
+
+function orderIndex(order, unit) {
+  return order.findIndex((key) => matchesUnit(unit, key));
+}
+
+// Units in `order` come first, in that order; the rest follow by name
+function sortByOrder(units, order) {
+  return [...units].sort((a, b) => {
+    const ia = orderIndex(order, a);
+    const ib = orderIndex(order, b);
+    if (ia === -1 && ib === -1) return a.name.localeCompare(b.name);
+    if (ia === -1) return 1;
+    if (ib === -1) return -1;
+    return ia - ib;
+  });
+}
+
+function selectUnits(units, config) {
+  const selected = units.filter((unit) => {
+    if (config.include.length > 0 && !config.include.some((k) => matchesUnit(unit, k))) {
+      return false;
+    }
+    return !config.exclude.some((k) => matchesUnit(unit, k));
+  });
+
+  return sortByOrder(selected, config.order).map((unit) => ({
+    id: unit.id,
+    name: unit.name,
+    folder: folderName(unit.name),
+  }));
+}
+
+// `source` is the extract's data source (see dataSources.js)
+async function loadUnits(source, config) {
+  const units =
+    config.source === "config"
+      ? config.units.map((u) => ({ id: u.id, name: u.name }))
+      : await source.listUnits();
+  return selectUnits(units, config);
+}
+
+// Sorts unit names (e.g. the Nombre_Unidad values of a report) by the
+// display order. `order` is a list of names, typically the selected units.
+function sortUnitNames(names, order) {
+  return sortByOrder(
+    names.map((name) => ({ id: null, name })),
+    order
+  ).map((unit) => unit.name);
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  folderName,
+  loadUnitsConfig,
+  applyUnitFilters,
+  selectUnits,
+  loadUnits,
+  sortUnitNames,
+};
@@ -0,0 +1,263 @@
+// Writes sheet layouts to an .xlsx file with exceljs. A layout is a list of
+// rows with a role ("header", "data", "title", "total", "spacer") and typed
+// cells ({ value, kind, column }, see cells.js); the role decides the style,
+// so json_to_excel.js only has to say what a row is, not how it looks.
+// Rows may also come as an async iterable (NDJSON exports); they are
+// written to disk as they arrive.
+
+const fs = require("fs");
+const ExcelJS = require("exceljs");
+const { NUMBER_FORMATS } = require("./cells");
+const { EXCEL_SHEET_NAME_LIMIT } = require("./reportConfig");
+const { chartForPivotBlock, addChartsToWorkbook } = require("./charts");
+const { peek } = require("./rowFiles");
+
+// Column that gets the red/green compliance highlighting
+const COMPLIANCE_COLUMN = "Porcentaje_Cumplimiento";
+const DEFAULT_COMPLIANCE_THRESHOLD = 80;
+
+// Excel's row limit; longer sheets continue on "<name>_2", "<name>_3"...
+const MAX_SHEET_ROWS = 1048576;
+// Rows looked at to size the columns
+const WIDTH_SAMPLE_ROWS = 1000;
+
+const MIN_COLUMN_WIDTH = 8;
+const MAX_COLUMN_WIDTH = 50;
+
+const fill = (argb) => ({ type: "pattern", pattern: "solid", fgColor: { argb } });
+
+const ROW_STYLES = {
+  header: {
+    font: { bold: true, color: { argb: "FFFFFFFF" } },
+    fill: fill("FF1F4E78"),
+    border: { bottom: { style: "thin", color: { argb: "FF000000" } } },
+  },
+  title: {
+    font: { bold: true, size: 13, color: { argb: "FF1F4E78" } },
+  },
+  total: {
+    font: { bold: true },
+    fill: fill("FFFFF2CC"),
+    border: { top: { style: "thin", color: { argb: "FF7F7F7F" } } },
+  },
+};
+
+// Conditional formatting fills use bgColor, unlike regular cell fills
+const COMPLIANCE_BELOW = {
+  font: { color: { argb: "FF9C0006" } },
+  fill: { type: "pattern", pattern: "solid", bgColor: { argb: "FFFFC7CE" } },
+};
+const COMPLIANCE_ABOVE = {
+  font: { color: { argb: "FF006100" } },
+  fill: { type: "pattern", pattern: "solid", bgColor: { argb: "FFC6EFCE" } },
+};
+
+// Approximate number of characters a cell takes once formatted
+function displayLength(cell) {
+  if (cell.value === "" || cell.value === undefined) return 0;
+  switch (cell.kind) {
+    case "duration":
+      return 10;
+    case "durationDelta":
+      return 11;
+    case "percent":
+      return 8;
+    case "number":
+      return Math.round(cell.value).toString().length + 3;
+    default:
+      return String(cell.value).length;
+  }
+}
+
+// Widths from the longest value of each column among `rows`, the first rows
+// of a sheet (streamed sheets can't be read twice). Titles span several
+// columns, so they don't widen the first one.
+function columnWidths(rows) {
+  const widths = [];
+  for (const row of rows) {
+    if (row.role === "title") continue;
+    row.cells.forEach((cell, index) => {
+      widths[index] = Math.max(widths[index] || 0, displayLength(cell));
+    });
+  }
+  return widths.map((w) =>
+    Math.min(MAX_COLUMN_WIDTH, Math.max(MIN_COLUMN_WIDTH, (w || 0) + 2))
+  );
+}
+
+// Collects the compliance cells of a worksheet while it is written and
+// turns them into "C5:C16" style ranges, one per run of consecutive rows in
+// the same column.
+function createComplianceTracker() {
+  // Column index -> [[firstRow, lastRow], ...]
+  const runs = {};
+  return {
+    add(rowNumber, row) {
+      row.cells.forEach((cell, colIndex) => {
+        if (cell.column !== COMPLIANCE_COLUMN || cell.kind !== "percent") return;
+        const list = (runs[colIndex] = runs[colIndex] || []);
+        const last = list[list.length - 1];
+        if (last && last[1] === rowNumber - 1) {
+          last[1] = rowNumber;
+        } else {
+          list.push([rowNumber, rowNumber]);
+        }
+      });
+    },
+    ranges(worksheet) {
+      const ranges = [];
+      for (const [colIndex, list] of Object.entries(runs)) {
+        const letter = worksheet.getColumn(Number(colIndex) + 1).letter;
+        for (const [start, end] of list) {
+          ranges.push(start === end ? `${letter}${start}` : `${letter}${start}:${letter}${end}`);
+        }
+      }
+      return ranges;
+    },
+  };
+}
+
+function addComplianceFormatting(worksheet, ranges, threshold) {
+  const limit = threshold / 100;
+  for (const ref of ranges) {
+    worksheet.addConditionalFormatting({
+      ref,
+      rules: [
+        { type: "cellIs", operator: "lessThan", formulae: [limit], style: COMPLIANCE_BELOW },
+        {
+          type: "cellIs",
+          operator: "greaterThanOrEqual",
+          formulae: [limit],
+          style: COMPLIANCE_ABOVE,
+        },
+      ],
+    });
+  }
+}
+
+function startWorksheet(workbook, name, widths) {
+  // Freeze the header row of the raw data at the top of every sheet
+  const worksheet = workbook.addWorksheet(name, {
+    views: [{ state: "frozen", ySplit: 1 }],
+  });
+  worksheet.columns = widths.map((width) => ({ width }));
+  return worksheet;
+}
+
+function writeRow(worksheet, rowNumber, row) {
+  const excelRow = worksheet.getRow(rowNumber);
+  const style = ROW_STYLES[row.role];
+  row.cells.forEach((cell, colIndex) => {
+    const excelCell = excelRow.getCell(colIndex + 1);
+    excelCell.value = cell.value;
+    if (NUMBER_FORMATS[cell.kind]) excelCell.numFmt = NUMBER_FORMATS[cell.kind];
+    if (style) {
+      if (style.font) excelCell.font = style.font;
+      if (style.fill) excelCell.fill = style.fill;
+      if (style.border) excelCell.border = style.border;
+    }
+  });
+  excelRow.commit();
+}
+
+// "TICKETS_RAW" -> "TICKETS_RAW_2", kept within `maxLength` characters (the
+// "sheetNameLength" of config/reports.json) and clear of the other sheet
+// names
+function continuationName(name, part, usedNames, maxLength) {
+  for (let n = part; ; n++) {
+    const suffix = `_${n}`;
+    const candidate = name.substring(0, maxLength - suffix.length) + suffix;
+    if (!usedNames.has(candidate)) {
+      usedNames.add(candidate);
+      return candidate;
+    }
+  }
+}
+
+// Writes one layout; `sheet.rows` may be an array or an async iterable.
+// Past `maxRows` rows the sheet continues on a new one that repeats the
+// header row.
+async function addSheet(workbook, sheet, options, usedNames) {
+  const { head, rows } = await peek(sheet.rows, WIDTH_SAMPLE_ROWS);
+  const widths = columnWidths(head);
+  const header = head.length > 0 && head[0].role === "header" ? head[0] : null;
+
+  let part = 1;
+  let worksheet = startWorksheet(workbook, sheet.name, widths);
+  let tracker = createComplianceTracker();
+  let rowNumber = 0;
+
+  const finish = () => {
+    addComplianceFormatting(worksheet, tracker.ranges(worksheet), options.complianceThreshold);
+    worksheet.commit();
+  };
+
+  for await (const row of rows) {
+    if (rowNumber === options.maxRows) {
+      finish();
+      part++;
+      worksheet = startWorksheet(
+        workbook,
+        continuationName(sheet.name, part, usedNames, options.sheetNameLength),
+        widths
+      );
+      tracker = createComplianceTracker();
+      rowNumber = 0;
+      if (header) writeRow(worksheet, ++rowNumber, header);
+    }
+    writeRow(worksheet, ++rowNumber, row);
+    tracker.add(rowNumber, row);
+  }
+  finish();
+}
+
+// Writes the sheets to `outputPath`, streaming rows to disk as they come.
+// With `options.charts` every pivot block gets a native chart (see
+// charts.js), and `options.sheetNameLength` limits the names of the
+// continuation sheets. The file only replaces `outputPath` once it is
+// complete.
+async function writeWorkbook(sheets, outputPath, options = {}) {
+  const settings = {
+    ...options,
+    complianceThreshold: options.complianceThreshold ?? DEFAULT_COMPLIANCE_THRESHOLD,
+    maxRows: options.maxRows || MAX_SHEET_ROWS,
+    sheetNameLength: options.sheetNameLength || EXCEL_SHEET_NAME_LIMIT,
+  };
+  const partial = `${outputPath}.partial`;
+
+  try {
+    // Inline strings: a shared string table would keep every value in memory
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      filename: partial,
+      useStyles: true,
+      useSharedStrings: false,
+    });
+    const usedNames = new Set(sheets.map((sheet) => sheet.name));
+    for (const sheet of sheets) {
+      await addSheet(workbook, sheet, settings, usedNames);
+    }
+    await workbook.commit();
+
+    if (settings.charts) {
+      const chartsBySheet = {};
+      for (const sheet of sheets) {
+        chartsBySheet[sheet.name] = sheet.pivotBlocks
+          .filter((b) => b.lastDataRow >= b.firstDataRow)
+          .map(chartForPivotBlock);
+      }
+      const buffer = await addChartsToWorkbook(fs.readFileSync(partial), chartsBySheet);
+      fs.writeFileSync(partial, buffer);
+    }
+    fs.renameSync(partial, outputPath);
+  } catch (err) {
+    fs.rmSync(partial, { force: true });
+    throw err;
+  }
+}
+
+module.exports = {
+  COMPLIANCE_COLUMN,
+  DEFAULT_COMPLIANCE_THRESHOLD,
+  MAX_SHEET_ROWS,
+  writeWorkbook,
+};
@@ -1,150 +1,410 @@
 require("dotenv").config();
-const mysql = require("mysql2/promise");
 const fs = require("fs");
 const path = require("path");
+const { currentYearPeriod, shiftPeriodYears } = require("./lib/period");
+const { parseOptions } = require("./lib/options");
+const { createDataSource } = require("./lib/dataSources");
+const { mapLimit, withRetry } = require("./lib/jobs");
+const {
+  ROW_FILE_EXTENSIONS,
+  rowFileFormat,
+  stripRowFileExtension,
+  createRowWriter,
+} = require("./lib/rowFiles");
+const {
+  createRunReport,
+  addEntry,
+  finishRunReport,
+} = require("./lib/runReport");
+const { writeManifest } = require("./lib/manifest");
+const {
+  DEFAULT_CONFIG_FILE: REPORT_CONFIG_FILE,
+  loadReportConfig,
+  applyReportConfig,
+} = require("./lib/reportConfig");
+const { SNAPSHOTS_DIR, createSnapshot } = require("./lib/snapshots");
+const {
+  loadUnitsConfig,
+  applyUnitFilters,
+  selectUnits,
+  loadUnits,
+} = require("./lib/units");
+const {
+  loadQueryFiles,
+  findSectionForFile,
+  filterSections,
+  sectionParameters,
+  safeName,
+} = require("./lib/queryFile");
+const {
+  assertKnownParameters,
+  expandBindings,
+  requiredFanOuts,
+} = require("./lib/parameters");
 
-const inputFile = "Consultas.txt";
-const outputDir = "Input";
+// First wait before retrying a query after a transient error; doubles on
+// every further attempt
+const RETRY_BACKOFF_MS = 1000;
 
-async function main() {
-  try {
-    console.log("Starting query processing...");
+// A section is unit scoped when it uses :unitId. An explicit "-- @scope"
+// has to agree with that, otherwise the fan-out would silently differ
+// from what the report declares.
+function resolveScope(section) {
+  const usesUnit = section.params.includes("unitId");
+  const declared = section.meta.scope;
 
-    // 1. Read the input file
-    const fileContent = fs.readFileSync(inputFile, "utf-8");
-    const lines = fileContent.split(/\r?\n/);
+  if (declared === "unit" && !usesUnit) {
+    throw new Error(
+      `Section '${section.title}' declares @scope: unit but does not use :unitId`
+    );
+  }
+  if (declared === "general" && usesUnit) {
+    throw new Error(
+      `Section '${section.title}' declares @scope: general but uses :unitId`
+    );
+  }
+  return usesUnit ? "unit" : "general";
+}
 
-    const sections = [];
-    let currentTitle = null;
-    let currentSql = [];
+// Where the rows for one binding go: unit bindings get the unit folder,
+// department bindings get the department name appended to the file name.
+// The extension follows the section's "-- @format".
+function outputPathFor(outputDir, section, binding) {
+  let folder = outputDir;
+  const unit = binding.entities.unitId;
+  if (unit) {
+    folder = path.join(outputDir, unit.folder);
+  }
 
-    for (const line of lines) {
-      if (line.trim().endsWith("--------------------------")) {
-        // If we have a previous section, save it
-        if (currentTitle) {
-          sections.push({ title: currentTitle, sql: currentSql.join("\n") });
-        }
-        // Start new section
-        currentTitle = line.replace(/--------------------------$/, "").trim();
-        currentSql = [];
-      } else {
-        if (currentTitle) {
-          currentSql.push(line);
+  let filename = section.fileBase;
+  const department = binding.entities.departmentId;
+  if (department) {
+    filename += `_${safeName(department.name)}`;
+  }
+
+  const extension = ROW_FILE_EXTENSIONS[section.meta.format || "json"];
+  return path.join(folder, `${filename}${extension}`);
+}
+
+function describeBinding(binding) {
+  return Object.entries(binding.entities)
+    .map(([name, entity]) => `${name}=${entity.id} (${entity.name})`)
+    .join(", ");
+}
+
+// Runs one section for one binding and saves its rows. Never throws: the
+// outcome is returned as a run report entry.
+async function runJob(source, job, { outputDir, all, options }) {
+  const { section, binding } = job;
+
+  if (job.error) {
+    console.error(`Error processing section '${section.title}':`, job.error.message);
+    return {
+      stage: "extract",
+      section: section.title,
+      status: "failed",
+      error: job.error.message,
+      staleRemoved: removeStaleOutputs(previousOutputs(outputDir, all, section)),
+    };
+  }
+
+  const label = describeBinding(binding);
+  const unit = binding.entities.unitId;
+  const outputPath = outputPathFor(outputDir, section, binding);
+  const entry = {
+    stage: "extract",
+    section: section.title,
+    unit: unit ? unit.name : null,
+    binding: label || null,
+    file: outputPath,
+  };
+  const started = Date.now();
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+  try {
+    // Every attempt starts a fresh file; a failed one leaves nothing behind
+    const rowCount = await withRetry(
+      async () => {
+        const writer = createRowWriter(outputPath, section.meta.format);
+        try {
+          await source.runSection(
+            {
+              sql: section.sql,
+              values: binding.values,
+              timeoutMs: options.queryTimeout * 1000,
+              file: stripRowFileExtension(path.relative(outputDir, outputPath)),
+              section,
+              binding,
+            },
+            writer
+          );
+        } catch (err) {
+          writer.abort();
+          throw err;
         }
+        return writer.close();
+      },
+      {
+        retries: options.retries,
+        backoffMs: RETRY_BACKOFF_MS,
+        shouldRetry: source.isTransientError,
+        onRetry: (err, attempt, delay) =>
+          console.error(
+            `    -> Retrying '${section.title}'${label ? ` for ${label}` : ""} in ${delay}ms (${
+              err.code
+            }, attempt ${attempt})`
+          ),
+      }
+    );
+
+    console.log(`    -> Saved ${rowCount} rows to ${outputPath}`);
+    return {
+      ...entry,
+      status: rowCount > 0 ? "ok" : "empty",
+      rows: rowCount,
+      durationMs: Date.now() - started,
+    };
+  } catch (err) {
+    console.error(
+      `    -> Error in '${section.title}'${label ? ` for ${label}` : ""}:`,
+      err.message
+    );
+    return {
+      ...entry,
+      status: "failed",
+      durationMs: Date.now() - started,
+      error: err.message,
+      staleRemoved: removeStaleOutputs([outputPath]),
+    };
+  }
+}
+
+// Parses the query files, adds the report definitions of config/reports.json
+// and works out up front which parameters each selected section needs, so a
+// bad section fails before anything is run. `all` is every section of the
+// files, to tell apart the outputs of sections sharing a name prefix.
+function loadSections(options) {
+  const all = loadQueryFiles(options.queryFiles);
+  const unmatched = applyReportConfig(all, loadReportConfig());
+  if (unmatched.length > 0) {
+    console.warn(
+      `${REPORT_CONFIG_FILE}: no section in ${options.queryFiles.join(", ")} for ${unmatched.join(", ")}`
+    );
+  }
+  const sections = filterSections(all, options.sections);
+
+  for (const section of sections) {
+    section.params = sectionParameters(section.sql);
+    assertKnownParameters(section.params, section.title);
+    section.scope = resolveScope(section);
+  }
+  return { all, sections };
+}
+
+// JSON files an earlier run wrote for `section`, in the output directory
+// and its unit folders
+function previousOutputs(outputDir, allSections, section) {
+  if (!fs.existsSync(outputDir)) return [];
+  const dirs = [
+    outputDir,
+    ...fs
+      .readdirSync(outputDir, { withFileTypes: true })
+      // Not the .previous folder: that is another period's data
+      .filter((item) => item.isDirectory() && !item.name.startsWith("."))
+      .map((item) => path.join(outputDir, item.name)),
+  ];
+
+  const files = [];
+  for (const dir of dirs) {
+    for (const name of fs.readdirSync(dir)) {
+      if (!rowFileFormat(name) || name.startsWith(".")) continue;
+      if (findSectionForFile(allSections, name) === section) {
+        files.push(path.join(dir, name));
+      }
+    }
+  }
+  return files;
+}
+
+// A failed query must not leave last run's JSON behind: json_to_excel.js
+// would put it in the workbook as if it were current.
+function removeStaleOutputs(files) {
+  const removed = files.filter((file) => fs.existsSync(file));
+  for (const file of removed) {
+    fs.unlinkSync(file);
+    console.error(`    -> Removed stale ${file}`);
+  }
+  return removed;
+}
+
+// --dry-run: what would be executed, without touching the data source.
+// Units only resolve here when they come from config/units.json.
+function printPlan(sections, unitsConfig, options) {
+  const units =
+    unitsConfig.source === "config" ? selectUnits(unitsConfig.units, unitsConfig) : null;
+
+  for (const section of sections) {
+    const fanOuts = requiredFanOuts(section.params);
+    let runs = "once";
+    if (fanOuts.length > 0) {
+      runs = `once per ${fanOuts.join(" x ")}`;
+      if (units && fanOuts.length === 1 && fanOuts[0] === "units") {
+        runs += ` (${units.map((u) => u.name).join(", ") || "none"})`;
       }
     }
-    // Push the last section
-    if (currentTitle && currentSql.length > 0) {
-      sections.push({ title: currentTitle, sql: currentSql.join("\n") });
+    console.log(`Would run: ${section.title} (${section.scope}), ${runs}`);
+    if (section.params.length > 0) {
+      console.log(` -> Parameters: ${section.params.map((p) => ":" + p).join(", ")}`);
     }
+  }
+  console.log(`Nothing was executed or written to ${options.inputDir}.`);
+}
 
-    console.log(`Found ${sections.length} sections to process.`);
+// Runs the query file against the database and writes one JSON file per
+// section and binding into `options.inputDir` (see lib/options.js), then
+// copies them into a new snapshot (lib/snapshots.js).
+// Fatal problems (bad query file, no connection) throw; a failing section is
+// logged, recorded in the run report and its old output removed, so the
+// other sections still run.
+async function extract(options, report = createRunReport("extract")) {
+  console.log("Starting query processing...");
 
-    // 2. Connect to database
-    const connection = await mysql.createConnection({
-      host: process.env.DB_HOST,
-      user: process.env.DB_USERNAME,
-      password: process.env.DB_PASSWORD,
-      database: process.env.DB_DATABASE,
-      port: process.env.DB_PORT,
-      multipleStatements: true,
-    });
+  const period = options.period || currentYearPeriod();
+  console.log(`Reporting period: ${period.from} -> ${period.to}`);
+  const unitsConfig = applyUnitFilters(loadUnitsConfig(), options.unitFilters);
+  const outputDir = options.inputDir;
 
-    console.log("Connected to database.");
+  // 1. Read the input file
+  const { all, sections } = loadSections(options);
+  console.log(`Found ${sections.length} sections to process.`);
 
-    // Fetch Units 1, 2, 3
-    const [units] = await connection.query(
-      "SELECT idUnidad, nombreUnidad FROM unidad WHERE idUnidad IN (1, 2, 3)"
+  if (options.dryRun) {
+    printPlan(sections, unitsConfig, options);
+    return report;
+  }
+
+  // 2. Connect to the data source (lib/dataSources.js)
+  const source = createDataSource(options);
+  console.log(`Data source: ${source.name}`);
+
+  try {
+    const neededLists = new Set(
+      sections.flatMap((section) => requiredFanOuts(section.params))
+    );
+    const lists = {};
+
+    // Units are always resolved: besides the fan-out they give the
+    // workbook builder its folder names and column order.
+    lists.units = await loadUnits(source, unitsConfig);
+    console.log(
+      `Units (${unitsConfig.source}):`,
+      lists.units.map((u) => `${u.id}=${u.name}`).join(", ") || "none"
     );
-    const unitMap = {};
-    for (const u of units) {
-      unitMap[u.idUnidad] = u.nombreUnidad;
+
+    // Departments are only loaded when some section fans out over them
+    if (neededLists.has("departments")) {
+      lists.departments = await source.listDepartments();
+      console.log(`Departments found: ${lists.departments.length}`);
     }
-    console.log("Units found:", unitMap);
 
     // 3. Process each section
     if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir);
+      fs.mkdirSync(outputDir, { recursive: true });
     }
+    writeManifest(outputDir, {
+      period: { from: period.from, to: period.to },
+      // With the units and departments the folder can serve as --fixtures
+      units: lists.units,
+      ...(lists.departments ? { departments: lists.departments } : {}),
+      generatedAt: new Date().toISOString(),
+    });
 
-    for (const section of sections) {
-      console.log(`Processing: ${section.title}`);
-      const isUnitSpecific = section.sql.includes("u.idUnidad = 1");
-
-      if (isUnitSpecific) {
-        console.log(
-          ` -> Detected unit specific query. Iterating for units 1-3...`
-        );
-        for (const unitId of [1, 2, 3]) {
-          const unitName = unitMap[unitId] || `Unidad_${unitId}`;
-          const modifiedSql = section.sql.replace(
-            /u\.idUnidad\s*=\s*1/g,
-            `u.idUnidad = ${unitId}`
-          );
+    const context = { period };
 
-          try {
-            const [results] = await connection.query(modifiedSql);
-            let dataToExport = results;
-
-            if (Array.isArray(results)) {
-              const rowSets = results.filter((r) => Array.isArray(r));
-              if (rowSets.length > 0) {
-                dataToExport = rowSets[rowSets.length - 1];
-              }
-            }
-
-            // Create unit folder
-            const unitFolder = path.join(
-              outputDir,
-              unitName.replace(/[^a-zA-Z0-9]/g, "_")
-            );
-            if (!fs.existsSync(unitFolder)) {
-              fs.mkdirSync(unitFolder);
-            }
-
-            const safeTitle = section.title.replace(/[^a-zA-Z0-9]/g, "_");
-            const filename = `${safeTitle}.json`;
-            const outputPath = path.join(unitFolder, filename);
-
-            fs.writeFileSync(outputPath, JSON.stringify(dataToExport, null, 2));
-            console.log(`    -> Saved to ${outputPath}`);
-          } catch (err) {
-            console.error(`    -> Error for Unit ${unitId}:`, err.message);
-          }
-        }
-      } else {
-        // General query
-        try {
-          const [results] = await connection.query(section.sql);
-          let dataToExport = results;
-
-          if (Array.isArray(results)) {
-            const rowSets = results.filter((r) => Array.isArray(r));
-            if (rowSets.length > 0) {
-              dataToExport = rowSets[rowSets.length - 1];
-            }
-          }
-
-          const safeTitle = section.title.replace(/[^a-zA-Z0-9]/g, "_");
-          const filename = `${safeTitle}.json`;
-          const outputPath = path.join(outputDir, filename);
-
-          fs.writeFileSync(outputPath, JSON.stringify(dataToExport, null, 2));
-          console.log(` -> Saved to ${outputPath}`);
-        } catch (err) {
-          console.error(
-            `Error processing section '${section.title}':`,
-            err.message
-          );
+    // One job per section and binding. Sections whose bindings can't be
+    // built become a failed job of their own, at the same position.
+    const jobs = [];
+    for (const section of sections) {
+      console.log(`Processing: ${section.title} (${section.scope})`);
+      if (section.params.length > 0) {
+        console.log(` -> Parameters: ${section.params.map((p) => ":" + p).join(", ")}`);
+      }
+      try {
+        for (const binding of expandBindings(section.params, context, lists)) {
+          jobs.push({ section, binding });
         }
+      } catch (err) {
+        jobs.push({ section, error: err });
       }
     }
 
-    await connection.end();
-    console.log("Done.");
+    console.log(`Running ${jobs.length} queries, ${options.concurrency} at a time...`);
+    const entries = await mapLimit(jobs, options.concurrency, (job) =>
+      runJob(source, job, { outputDir, all, options })
+    );
+    // Entries are added in job order, whatever order the queries finished in
+    entries.forEach((entry) => addEntry(report, entry));
+
+    // Keep a copy, so later runs can be compared with `cli.js diff`. Failed
+    // queries removed their files, so such a copy is marked incomplete and
+    // never used as the previous extract.
+    const failedSections = [
+      ...new Set(entries.filter((e) => e.status === "failed").map((e) => e.section)),
+    ];
+    const snapshot = createSnapshot(outputDir, options.snapshotsDir, { failedSections });
+    if (failedSections.length > 0) {
+      console.warn(
+        `Snapshot saved to ${snapshot}, marked incomplete (failed: ${failedSections.join(", ")})`
+      );
+    } else {
+      console.log(`Snapshot saved to ${snapshot}`);
+    }
+  } finally {
+    await source.end();
+  }
+
+  // --previous-year: the same sections for the same days a year earlier,
+  // for the year over year tables of the build (--deltas)
+  if (options.previousYear) {
+    const previousPeriod = shiftPeriodYears(period, -1);
+    console.log(`Extracting the previous year into ${options.previousInputDir}...`);
+    await extract(
+      {
+        ...options,
+        period: previousPeriod,
+        inputDir: options.previousInputDir,
+        snapshotsDir: path.join(options.previousInputDir, SNAPSHOTS_DIR),
+        previousYear: false,
+      },
+      report
+    );
+  }
+
+  console.log("Done.");
+  return report;
+}
+
+// Same as `node cli.js extract` (see finishRunReport for the exit codes)
+async function main() {
+  let options;
+  const report = createRunReport("extract");
+  try {
+    options = parseOptions(process.argv.slice(2));
+    await extract(options, report);
   } catch (err) {
     console.error("Fatal error:", err);
+    if (!options) {
+      process.exitCode = 1;
+      return;
+    }
+    report.fatal = err.message;
   }
+  process.exitCode = finishRunReport(report, options);
+}
+
+if (require.main === module) {
+  main();
 }
 
-main();
+module.exports = { extract };
@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildDeltaBlocks } = require("../lib/deltas");
+const { NUMBER_FORMATS, plainValue } = require("../lib/cells");
+
+const row = (Mes_Anio, Nombre_Unidad, values) => ({ Mes_Anio, Nombre_Unidad, ...values });
+
+const monthly = (rows) =>
+  buildDeltaBlocks({
+    data: rows,
+    previousData: null,
+    metrics: ["Promedio_Tiempo_Productivo"],
+    units: ["Hotel Centro"],
+    months: ["Enero 2025", "Febrero 2025", "Marzo 2025"],
+    kinds: { Promedio_Tiempo_Productivo: "duration" },
+  }).filter((r) => r.role === "data");
+
+test("duration changes are signed day fractions, not text", () => {
+  const rows = monthly([
+    row("Enero 2025", "Hotel Centro", { Promedio_Tiempo_Productivo: "1:00:00" }),
+    row("Febrero 2025", "Hotel Centro", { Promedio_Tiempo_Productivo: "8:33:22" }),
+    row("Marzo 2025", "Hotel Centro", { Promedio_Tiempo_Productivo: "2:00:00" }),
+  ]);
+
+  const [, february, march] = rows.map((r) => r.cells);
+  assert.deepEqual(february[1], { value: 27202 / 86400, kind: "durationDelta" });
+  assert.deepEqual(march[1], { value: -23602 / 86400, kind: "durationDelta" });
+  assert.equal(february[2].kind, "percent");
+
+  assert.equal(NUMBER_FORMATS.durationDelta, "+[h]:mm:ss;-[h]:mm:ss");
+  assert.equal(plainValue(february[1]), "+7:33:22");
+  assert.equal(plainValue(march[1]), "-6:33:22");
+});
+
+test("months without the earlier value have no change", () => {
+  const [january] = monthly([
+    row("Enero 2025", "Hotel Centro", { Promedio_Tiempo_Productivo: "1:00:00" }),
+  ]);
+  assert.deepEqual(january.cells.slice(1), [
+    { value: "", kind: "text" },
+    { value: "", kind: "text" },
+  ]);
+});
@@ -0,0 +1,159 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseByDepartment, paretoRows, buildDepartmentLayouts } = require("../lib/departments");
+const { build } = require("../json_to_excel");
+const { parseOptions } = require("../lib/options");
+const { createRunReport } = require("../lib/runReport");
+
+const label = (departamento, etiqueta, total_tickets, tiempo_promedio_productivo) => ({
+  departamento,
+  etiqueta,
+  total_tickets,
+  tiempo_promedio_productivo,
+});
+
+const labels = [
+  label("Ama de Llaves", "Aseo", 2, "0:10:00"),
+  label("Mantenimiento", "WC tapado", 6, "0:30:00"),
+  label("Mantenimiento", "Foco fundido", 3, "0:12:00"),
+  label("Mantenimiento", "Puerta", 1, "0:20:00"),
+];
+
+const compliance = [
+  { Departamento: "Mantenimiento", Cantidad_Tickets: 10, Porcentaje_Cumplimiento: "85.50" },
+];
+
+const values = (row) => row.cells.map((c) => c.value);
+
+test("--by-department takes sheets or workbooks", () => {
+  assert.equal(parseByDepartment(undefined), null);
+  assert.equal(parseByDepartment("workbooks"), "workbooks");
+  assert.throws(
+    () => parseByDepartment("tabs"),
+    /--by-department must be one of sheets, workbooks \(got 'tabs'\)/
+  );
+});
+
+test("the Pareto set is the labels it takes to reach 80 % of the tickets", () => {
+  const rows = paretoRows(labels.slice(1));
+  assert.deepEqual(
+    rows.map((r) => [r.row.etiqueta, r.share, r.cumulative, r.pareto]),
+    [
+      ["WC tapado", 60, 60, true],
+      ["Foco fundido", 30, 90, true],
+      ["Puerta", 10, 100, false],
+    ]
+  );
+});
+
+test("each department gets its compliance figures and its labels ranked", () => {
+  const views = buildDepartmentLayouts({
+    labels,
+    labelKinds: {
+      departamento: "text",
+      etiqueta: "text",
+      total_tickets: "integer",
+      tiempo_promedio_productivo: "duration",
+    },
+    spec: { tiempo_promedio_productivo: { aggregator: "weighted_avg", args: ["total_tickets"] } },
+    compliance,
+    complianceKinds: {
+      Departamento: "text",
+      Cantidad_Tickets: "integer",
+      Porcentaje_Cumplimiento: "percent",
+    },
+  });
+  assert.deepEqual(
+    views.map((v) => v.department),
+    ["Mantenimiento", "Ama de Llaves"]
+  );
+
+  const [maintenance, housekeeping] = views.map((v) => v.rows);
+  assert.deepEqual(values(maintenance[0]), ["DEPARTAMENTO: Mantenimiento"]);
+  assert.deepEqual(values(maintenance[3]), ["Cantidad_Tickets", "Porcentaje_Cumplimiento"]);
+  assert.deepEqual(values(maintenance[4]), [10, 0.855]);
+  assert.deepEqual(values(maintenance[7]), [
+    "Posición",
+    "Etiqueta",
+    "Tickets",
+    "tiempo_promedio_productivo",
+    "% del departamento",
+    "% acumulado",
+    "Pareto 80 %",
+  ]);
+  assert.deepEqual(values(maintenance[8]).slice(0, 3), [1, "WC tapado", 6]);
+  assert.deepEqual(values(maintenance[8]).slice(4), [0.6, 0.6, "Sí"]);
+  const total = maintenance[maintenance.length - 1];
+  assert.equal(total.role, "total");
+  assert.deepEqual(values(total).slice(0, 3), ["TOTAL", "", 10]);
+
+  assert.deepEqual(values(housekeeping[3]), ["Sin datos de cumplimiento"]);
+});
+
+test("the label report needs departamento, etiqueta and total_tickets", () => {
+  assert.throws(
+    () =>
+      buildDepartmentLayouts({
+        labels: [{ etiqueta: "Aseo", tickets: 2 }],
+        labelKinds: {},
+        spec: {},
+        compliance: [],
+        complianceKinds: {},
+      }),
+    /--by-department needs column\(s\): departamento, total_tickets/
+  );
+});
+
+test("build --by-department workbooks writes one workbook per department", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "departments-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const unitDir = path.join(dir, "Input", "Hotel Centro");
+  fs.mkdirSync(unitDir, { recursive: true });
+
+  fs.writeFileSync(
+    path.join(dir, "Consultas.txt"),
+    `CUMPLIMIENTO--------------------------
+-- @scope: unit
+SELECT 1;
+
+ETIQUETAS--------------------------
+-- @scope: unit
+-- @drilldown: CUMPLIMIENTO
+-- @pivot: none
+SELECT 2;
+`
+  );
+  fs.writeFileSync(path.join(unitDir, "CUMPLIMIENTO.json"), JSON.stringify(compliance));
+  fs.writeFileSync(path.join(unitDir, "ETIQUETAS.json"), JSON.stringify(labels));
+
+  const options = parseOptions([
+    "--queries",
+    path.join(dir, "Consultas.txt"),
+    "--input",
+    path.join(dir, "Input"),
+    "--output",
+    path.join(dir, "Output"),
+    "--from",
+    "2025-01-01",
+    "--to",
+    "2025-01-31",
+    "--by-department",
+    "workbooks",
+    "--report",
+    path.join(dir, "run-report.json"),
+  ]);
+  const report = await build(options, createRunReport("build"));
+  const entry = report.entries.find((e) => e.section === "ETIQUETAS (por departamento)");
+  assert.equal(entry.status, "ok");
+  assert.equal(entry.rows, 2);
+  assert.deepEqual(fs.readdirSync(path.join(dir, "Output")).sort(), [
+    "Hotel Centro.xlsx",
+    "Hotel Centro_Ama_de_Llaves.xlsx",
+    "Hotel Centro_Mantenimiento.xlsx",
+  ]);
+});
@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseDuration, formatDuration, isDuration } = require("../lib/duration");
+
+test("parseDuration keeps fractional seconds", () => {
+  assert.equal(parseDuration("01:33:11.493717"), 5591.493717);
+  assert.equal(parseDuration("00:23:53.7172"), 1433.7172);
+});
+
+test("parseDuration reads totals past 24 hours", () => {
+  assert.equal(parseDuration("2966:35:53"), 10679753);
+});
+
+test("parseDuration treats anything else as zero", () => {
+  assert.equal(parseDuration(""), 0);
+  assert.equal(parseDuration(null), 0);
+  assert.equal(parseDuration(90), 0);
+  assert.equal(parseDuration("abc"), 0);
+});
+
+test("formatDuration floors to whole seconds", () => {
+  assert.equal(formatDuration(5591.999), "1:33:11");
+  assert.equal(formatDuration(59.9), "0:00:59");
+});
+
+test("formatDuration does not wrap at 24 hours and pads minutes and seconds only", () => {
+  assert.equal(formatDuration(10679753), "2966:35:53");
+  assert.equal(formatDuration(0), "0:00:00");
+  assert.equal(formatDuration(3600 + 5), "1:00:05");
+});
+
+test("formatDuration round-trips parseDuration for whole seconds", () => {
+  for (const text of ["0:00:00", "1:33:11", "2966:35:53"]) {
+    assert.equal(formatDuration(parseDuration(text)), text);
+  }
+});
+
+test("isDuration", () => {
+  assert.equal(isDuration("01:33:11.493717"), true);
+  assert.equal(isDuration("2966:35:53"), true);
+  assert.equal(isDuration("25.64"), false);
+  assert.equal(isDuration("Enero 2025"), false);
+});
@@ -0,0 +1,116 @@
+// Golden file tests: builds the workbooks from the Input/ fixtures and
+// compares every cell with test/golden/<workbook>.json. After an intended
+// change to the layout, regenerate them with
+//
+//   UPDATE_GOLDEN=1 npm test
+//
+// and review the diff of test/golden/ like any other change.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const { build } = require("../json_to_excel");
+const { formatDuration } = require("../lib/duration");
+const { parseOptions } = require("../lib/options");
+const { createRunReport } = require("../lib/runReport");
+
+const ROOT = path.join(__dirname, "..");
+const GOLDEN_DIR = path.join(__dirname, "golden");
+const UPDATE = Boolean(process.env.UPDATE_GOLDEN);
+
+// Day 0 of Excel dates; duration cells (fractions of a day with a time
+// format) are read back as dates counted from it
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+
+// Cell values sheet by sheet, one array per row with trailing empty cells
+// dropped. Durations are written as "H:MM:SS.mmm" to keep the files readable.
+function cellValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) {
+    const milliseconds = value.getTime() - EXCEL_EPOCH;
+    const fraction = String(milliseconds % 1000).padStart(3, "0");
+    return `${formatDuration(Math.floor(milliseconds / 1000))}.${fraction}`;
+  }
+  if (typeof value === "object" && value.richText) {
+    return value.richText.map((part) => part.text).join("");
+  }
+  return value;
+}
+
+// One row per line, so a layout change shows up as a readable diff
+function formatDump(sheets) {
+  const entries = Object.entries(sheets).map(
+    ([sheet, rows]) =>
+      `  ${JSON.stringify(sheet)}: [\n${rows.map((r) => `    ${JSON.stringify(r)}`).join(",\n")}\n  ]`
+  );
+  return `{\n${entries.join(",\n")}\n}\n`;
+}
+
+async function dumpWorkbook(file) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(file);
+  const sheets = {};
+  workbook.eachSheet((sheet) => {
+    const rows = [];
+    for (let r = 1; r <= sheet.rowCount; r++) {
+      const values = [];
+      sheet.getRow(r).eachCell({ includeEmpty: true }, (cell, c) => {
+        values[c - 1] = cellValue(cell.value);
+      });
+      const cells = Array.from(values, (v) => (v === undefined ? null : v));
+      while (cells.length > 0 && cells[cells.length - 1] === null) cells.pop();
+      rows.push(cells);
+    }
+    sheets[sheet.name] = rows;
+  });
+  return sheets;
+}
+
+test("workbooks built from Input/ match the golden files", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "golden-"));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const options = parseOptions([
+    "--input",
+    path.join(ROOT, "Input"),
+    "--output",
+    outputDir,
+    "--queries",
+    path.join(ROOT, "Consultas.txt"),
+    "--report",
+    path.join(outputDir, "run-report.json"),
+  ]);
+  const report = await build(options, createRunReport("build"));
+  assert.deepEqual(
+    report.entries.filter((e) => e.status === "failed"),
+    [],
+    "no file should fail to build"
+  );
+
+  const workbooks = fs.readdirSync(outputDir).filter((name) => name.endsWith(".xlsx"));
+  const goldens = fs
+    .readdirSync(GOLDEN_DIR)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => name.replace(/\.json$/, ".xlsx"));
+  if (!UPDATE) assert.deepEqual(workbooks.sort(), goldens.sort());
+
+  for (const name of workbooks) {
+    const actual = await dumpWorkbook(path.join(outputDir, name));
+    const golden = path.join(GOLDEN_DIR, name.replace(/\.xlsx$/, ".json"));
+    if (UPDATE) {
+      fs.writeFileSync(golden, formatDump(actual));
+      continue;
+    }
+    const expected = JSON.parse(fs.readFileSync(golden, "utf8"));
+    await t.test(name, () => {
+      assert.deepEqual(Object.keys(actual), Object.keys(expected));
+      for (const sheet of Object.keys(expected)) {
+        assert.deepEqual(actual[sheet], expected[sheet], `sheet ${sheet}`);
+      }
+    });
+  }
+});
@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { towerOf, findRepeats, buildHotspotLayout } = require("../lib/hotspots");
+
+const ticket = (id_habitacion, habitacion, departamento, etiqueta, fecha, glitches = 0) => ({
+  id_ticket: fecha,
+  id_habitacion,
+  habitacion,
+  departamento,
+  etiqueta,
+  fecha,
+  glitches_habitacion: glitches,
+});
+
+const rows = [
+  ticket(1, "4720 Torre 4", "Mantenimiento", "WC tapado", "2025-01-01 08:00:00", 2),
+  ticket(1, "4720 Torre 4", "Mantenimiento", "WC tapado", "2025-01-05 09:00:00", 2),
+  ticket(1, "4720 Torre 4", "Mantenimiento", "WC tapado", "2025-01-12 08:30:00", 2),
+  ticket(1, "4720 Torre 4", "Ama de Llaves", "Aseo", "2025-01-13 10:00:00", 2),
+  ticket(2, "1101 Torre 10", "Ama de Llaves", "Aseo", "2025-01-01 10:00:00"),
+  ticket(2, "1101 Torre 10", "Ama de Llaves", "Aseo", "2025-01-20 10:00:00"),
+  ticket(3, "Lobby", "Tecnología", "Wifi", "2025-02-01 10:00:00", 5),
+];
+
+// Rows of the layout between the title `title` and the next spacer
+function table(layout, title) {
+  const start = layout.rows.findIndex((r) => r.role === "title" && r.cells[0].value === title);
+  const end = layout.rows.findIndex((r, i) => i > start && r.role === "spacer");
+  return layout.rows
+    .slice(start + 1, end === -1 ? undefined : end)
+    .map((r) => r.cells.map((c) => c.value));
+}
+
+test("towers come from room names like '4720 Torre 4'", () => {
+  assert.equal(towerOf("4720 Torre 4"), "Torre 4");
+  assert.equal(towerOf("305 torre B"), "Torre B");
+  assert.equal(towerOf("Lobby"), "Sin torre");
+});
+
+test("a repeat is the same label in the same room within the window of the previous ticket", () => {
+  const tickets = rows.map((r) => ({
+    roomId: String(r.id_habitacion),
+    etiqueta: r.etiqueta,
+    time: Date.parse(r.fecha.replace(" ", "T") + "Z"),
+  }));
+  // 1st -> 5th (4 days) -> 12th (7 days) chain; 1st -> 20th (19 days) does not
+  assert.deepEqual(
+    findRepeats(tickets, 7).map((run) => run.length),
+    [3]
+  );
+  assert.deepEqual(findRepeats(tickets, 6).map((run) => run.length), [2]);
+  assert.deepEqual(
+    findRepeats(tickets, 30).map((run) => run.length),
+    [3, 2]
+  );
+});
+
+test("the hotspot sheet ranks rooms, crosses towers and departments and lists repeats", () => {
+  const layout = buildHotspotLayout(rows, { window: 7 });
+
+  assert.deepEqual(table(layout, "RANKING DE HABITACIONES"), [
+    [
+      "Posición",
+      "Habitación",
+      "Torre",
+      "Tickets",
+      "Glitches",
+      "Reincidencias",
+      "Departamento principal",
+      "Etiqueta principal",
+    ],
+    [1, "4720 Torre 4", "Torre 4", 4, 2, 2, "Mantenimiento", "WC tapado"],
+    [2, "1101 Torre 10", "Torre 10", 2, 0, 0, "Ama de Llaves", "Aseo"],
+    [3, "Lobby", "Sin torre", 1, 5, 0, "Tecnología", "Wifi"],
+  ]);
+
+  assert.deepEqual(table(layout, "TORRE x DEPARTAMENTO"), [
+    ["Torre", "Ama de Llaves", "Mantenimiento", "Tecnología", "TOTAL"],
+    ["Torre 4", 1, 3, 0, 4],
+    ["Torre 10", 2, 0, 0, 2],
+    ["Sin torre", 0, 0, 1, 1],
+    ["TOTAL", 3, 3, 1, 7],
+  ]);
+
+  assert.deepEqual(
+    table(layout, "REINCIDENCIAS: MISMA ETIQUETA EN LA MISMA HABITACIÓN EN 7 DÍAS"),
+    [
+      ["Habitación", "Torre", "Etiqueta", "Departamento", "Tickets", "Desde", "Hasta", "Glitches"],
+      ["4720 Torre 4", "Torre 4", "WC tapado", "Mantenimiento", 3, "2025-01-01", "2025-01-12", 2],
+    ]
+  );
+});
+
+test("the hotspot sheet needs the ticket columns", () => {
+  assert.throws(
+    () => buildHotspotLayout([{ habitacion: "4720 Torre 4", total_tickets: 3 }]),
+    /@layout hotspots needs column\(s\): id_habitacion, departamento, etiqueta, fecha, glitches_habitacion/
+  );
+  assert.throws(
+    () => buildHotspotLayout([{ ...rows[0], fecha: "ayer" }]),
+    /row 1: fecha 'ayer' is not a 'YYYY-MM-DD HH:MM:SS' date/
+  );
+});
@@ -0,0 +1,319 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  fillMissingMonths,
+  aggregateData,
+  generatePivotTables,
+  resolvePeriod,
+} = require("../json_to_excel");
+const { createPeriod, monthLabels } = require("../lib/period");
+const { writeManifest } = require("../lib/manifest");
+const { parseOptions } = require("../lib/options");
+
+const period = createPeriod("2025-01-01", "2025-03-31");
+const months = monthLabels(period);
+
+const row = (Mes_Anio, Nombre_Unidad, values) => ({ Mes_Anio, Nombre_Unidad, ...values });
+
+// Per unit and month counts, times and percentages, without Cantidad_Tickets
+// to weight by
+const mixed = [
+  row("Enero 2025", "A", {
+    Cantidad_Total: 2,
+    Total_Tiempo_Productivo: "1:00:00",
+    Promedio_Tiempo_Productivo: "00:30:00",
+    Porcentaje_Cumplimiento: "50.00",
+  }),
+  row("Marzo 2025", "A", {
+    Cantidad_Total: 4,
+    Total_Tiempo_Productivo: "2:30:00",
+    Promedio_Tiempo_Productivo: "00:37:30.5",
+    Porcentaje_Cumplimiento: "70.00",
+  }),
+  row("Febrero 2025", "B", {
+    Cantidad_Total: 1,
+    Total_Tiempo_Productivo: "0:10:00",
+    Promedio_Tiempo_Productivo: "00:10:00",
+    Porcentaje_Cumplimiento: "25.5",
+  }),
+];
+
+const tickets = [
+  row("Enero 2025", "A", {
+    Cantidad_Tickets: 2,
+    Total_Tiempo_Productivo: "1:00:00",
+    Promedio_Tiempo_Productivo: "00:30:00",
+    Promedio_Tiempo_Estimado: "00:15:00",
+    Porcentaje_Cumplimiento: "50.00",
+  }),
+  row("Febrero 2025", "A", {
+    Cantidad_Tickets: 6,
+    Total_Tiempo_Productivo: "2:00:00",
+    Promedio_Tiempo_Productivo: "00:20:00",
+    Promedio_Tiempo_Estimado: "00:05:00",
+    Porcentaje_Cumplimiento: "25.00",
+  }),
+];
+
+// TOTAL row of every COMPARATIVA table, keyed by metric
+function totals(pivotRows) {
+  const result = {};
+  let metric = null;
+  for (const pivotRow of pivotRows) {
+    if (pivotRow.pivot_title) metric = pivotRow.metric;
+    if (pivotRow.Mes === "TOTAL") {
+      const { Mes, ...values } = pivotRow;
+      result[metric] = values;
+    }
+  }
+  return result;
+}
+
+test("fillMissingMonths adds zero rows in month, then unit order", () => {
+  const filled = fillMissingMonths(mixed, months);
+  assert.deepEqual(
+    filled.map((r) => `${r.Mes_Anio} ${r.Nombre_Unidad}`),
+    [
+      "Enero 2025 A",
+      "Enero 2025 B",
+      "Febrero 2025 A",
+      "Febrero 2025 B",
+      "Marzo 2025 A",
+      "Marzo 2025 B",
+    ]
+  );
+  assert.deepEqual(filled[1], {
+    Mes_Anio: "Enero 2025",
+    Nombre_Unidad: "B",
+    Cantidad_Total: 0,
+    Total_Tiempo_Productivo: "0:00:00",
+    Promedio_Tiempo_Productivo: "0:00:00",
+    Porcentaje_Cumplimiento: "0.00",
+  });
+  // Existing rows are kept as they are
+  assert.equal(filled[0], mixed[0]);
+});
+
+test("fillMissingMonths fills times in the same format as the totals", () => {
+  const [zero] = fillMissingMonths(
+    [row("Febrero 2025", "A", { Total_Tiempo_Productivo: "1:00:00" })],
+    months
+  );
+  assert.equal(zero.Total_Tiempo_Productivo, "0:00:00");
+});
+
+test("fillMissingMonths leaves data without month and unit columns alone", () => {
+  const data = [{ departamento: "Mantenimiento", total_tickets: 3 }];
+  assert.equal(fillMissingMonths(data, months), data);
+  assert.deepEqual(fillMissingMonths([], months), []);
+});
+
+test("pivot TOTAL sums counts and times, averages the rest over months with data", () => {
+  const pivot = generatePivotTables(fillMissingMonths(mixed, months), months, ["B", "A"], {
+    pivot: [
+      "Cantidad_Total",
+      "Total_Tiempo_Productivo",
+      "Promedio_Tiempo_Productivo",
+      "Porcentaje_Cumplimiento",
+    ],
+  });
+  assert.deepEqual(totals(pivot), {
+    Cantidad_Total: { B: 1, A: 6 },
+    Total_Tiempo_Productivo: { B: "0:10:00", A: "3:30:00" },
+    // (30:00 + 37:30.5) / 2, floored; the empty February does not count
+    Promedio_Tiempo_Productivo: { B: "0:10:00", A: "0:33:45" },
+    Porcentaje_Cumplimiento: { B: "25.50", A: "60.00" },
+  });
+});
+
+test("pivot TOTAL uses the column aggregators, matching the Acumulado row", () => {
+  const meta = { aggregate: "tickets_time" };
+  const pivot = generatePivotTables(tickets, months, ["A"], meta);
+  const expected = {
+    Cantidad_Tickets: 8,
+    Total_Tiempo_Productivo: "3:00:00",
+    // 3:00:00 / 8 tickets
+    Promedio_Tiempo_Productivo: "0:22:30",
+    // (15:00 x 2 + 5:00 x 6) / 8
+    Promedio_Tiempo_Estimado: "0:07:30",
+    // 1:00:00 estimated / 3:00:00 productive
+    Porcentaje_Cumplimiento: "33.33",
+  };
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(totals(pivot)).map(([metric, t]) => [metric, t.A])),
+    expected
+  );
+
+  const [accumulated] = aggregateData("TICKETS_GENERAL.json", tickets, period, meta);
+  assert.deepEqual(accumulated, {
+    Mes_Anio: "Acumulado Enero 2025 - Marzo 2025",
+    Nombre_Unidad: "A",
+    ...expected,
+  });
+});
+
+test("pivot rows keep the unit display order and the period's month order", () => {
+  const pivot = generatePivotTables(fillMissingMonths(mixed, months), months, ["B", "A"], {
+    pivot: ["Cantidad_Total"],
+  });
+  assert.deepEqual(pivot, [
+    {},
+    { pivot_title: "COMPARATIVA: Cantidad_Total", metric: "Cantidad_Total" },
+    { Mes: "Mes", B: "B", A: "A" },
+    { Mes: "Enero 2025", B: 0, A: 2 },
+    { Mes: "Febrero 2025", B: 1, A: 0 },
+    { Mes: "Marzo 2025", B: 0, A: 4 },
+    { Mes: "TOTAL", B: 1, A: 6 },
+  ]);
+});
+
+test("Acumulado rows follow the unit display order, not the order of the data", (t) => {
+  t.mock.method(console, "log", () => {});
+  const unitOrder = ["C", "B", "A"];
+  const data = fillMissingMonths([...mixed, row("Enero 2025", "C", { Cantidad_Total: 3 })], months);
+  const accumulated = aggregateData("MIXTO.json", data, period, {}, unitOrder);
+  assert.deepEqual(
+    accumulated.map((r) => [r.Nombre_Unidad, r.Cantidad_Total]),
+    [
+      ["C", 3],
+      ["B", 1],
+      ["A", 6],
+    ]
+  );
+
+  // The same order as the COMPARATIVA columns
+  const [, , header] = generatePivotTables(data, months, unitOrder, { pivot: ["Cantidad_Total"] });
+  assert.deepEqual(Object.keys(header).slice(1), ["C", "B", "A"]);
+});
+
+test("@pivot columns missing from the data are an error", () => {
+  assert.throws(
+    () => generatePivotTables(mixed, months, [], { pivot: ["Nope"] }),
+    /@pivot column\(s\) not found in data: Nope/
+  );
+});
+
+test("@aggregate: none leaves out the Acumulado rows", () => {
+  assert.deepEqual(aggregateData("X.json", tickets, period, { aggregate: "none" }), []);
+});
+
+// A unit's months by department ("-- @pivotBy: Mes_Anio, Departamento")
+const byDepartment = { pivotBy: ["Mes_Anio", "Departamento"], pivot: ["Cantidad_Tickets"] };
+const departmentRows = [
+  { Mes_Anio: "Enero 2025", Departamento: "Mantenimiento", Cantidad_Tickets: 3 },
+  { Mes_Anio: "Marzo 2025", Departamento: "Mantenimiento", Cantidad_Tickets: 2 },
+  { Mes_Anio: "Febrero 2025", Departamento: "Ama de Llaves", Cantidad_Tickets: 4 },
+];
+
+test("@pivotBy fills months and pivots by the declared column key", () => {
+  const filled = fillMissingMonths(departmentRows, months, byDepartment);
+  assert.deepEqual(
+    filled.map((r) => `${r.Mes_Anio} ${r.Departamento} ${r.Cantidad_Tickets}`),
+    [
+      "Enero 2025 Ama de Llaves 0",
+      "Enero 2025 Mantenimiento 3",
+      "Febrero 2025 Ama de Llaves 4",
+      "Febrero 2025 Mantenimiento 0",
+      "Marzo 2025 Ama de Llaves 0",
+      "Marzo 2025 Mantenimiento 2",
+    ]
+  );
+
+  const pivot = generatePivotTables(filled, months, [], byDepartment);
+  assert.deepEqual(pivot.slice(2), [
+    { Mes: "Mes", "Ama de Llaves": "Ama de Llaves", Mantenimiento: "Mantenimiento" },
+    { Mes: "Enero 2025", "Ama de Llaves": 0, Mantenimiento: 3 },
+    { Mes: "Febrero 2025", "Ama de Llaves": 4, Mantenimiento: 0 },
+    { Mes: "Marzo 2025", "Ama de Llaves": 0, Mantenimiento: 2 },
+    { Mes: "TOTAL", "Ama de Llaves": 4, Mantenimiento: 5 },
+  ]);
+
+  assert.deepEqual(aggregateData("TENDENCIA.json", filled, period, byDepartment), [
+    { Mes_Anio: "Acumulado Enero 2025 - Marzo 2025", Departamento: "Ama de Llaves", Cantidad_Tickets: 4 },
+    { Mes_Anio: "Acumulado Enero 2025 - Marzo 2025", Departamento: "Mantenimiento", Cantidad_Tickets: 5 },
+  ]);
+});
+
+test("@pivotBy with another row key fills every column with the rows any has", () => {
+  const meta = { pivotBy: ["Etiqueta", "Departamento"] };
+  const data = [
+    { Etiqueta: "WC tapado", Departamento: "Mantenimiento", Cantidad_Tickets: 3 },
+    { Etiqueta: "Aseo", Departamento: "Ama de Llaves", Cantidad_Tickets: 4 },
+  ];
+  const filled = fillMissingMonths(data, months, meta);
+  assert.deepEqual(
+    filled.map((r) => `${r.Etiqueta} ${r.Departamento} ${r.Cantidad_Tickets}`),
+    [
+      "WC tapado Ama de Llaves 0",
+      "WC tapado Mantenimiento 3",
+      "Aseo Ama de Llaves 4",
+      "Aseo Mantenimiento 0",
+    ]
+  );
+  const pivot = generatePivotTables(filled, months, [], { ...meta, pivot: ["Cantidad_Tickets"] });
+  assert.deepEqual(pivot[2], {
+    Mes: "Etiqueta",
+    "Ama de Llaves": "Ama de Llaves",
+    Mantenimiento: "Mantenimiento",
+  });
+});
+
+test("undeclared averages and percentages are left empty in Acumulado, with a warning", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  t.mock.method(console, "log", () => {});
+  const data = [
+    row("Enero 2025", "A", { Cantidad: 2, Promedio_Nuevo: 10, Porcentaje_Nuevo: "50.00", Ratio: 1.5 }),
+    row("Febrero 2025", "A", { Cantidad: 3, Promedio_Nuevo: 20, Porcentaje_Nuevo: "70.00", Ratio: 2.5 }),
+  ];
+  const [accumulated] = aggregateData("NUEVO.json", data, period);
+  assert.deepEqual(accumulated, {
+    Mes_Anio: "Acumulado Enero 2025 - Marzo 2025",
+    Nombre_Unidad: "A",
+    Cantidad: 5,
+    Promedio_Nuevo: "",
+    Porcentaje_Nuevo: "",
+    Ratio: "",
+  });
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(
+    warn.mock.calls[0].arguments[0],
+    /NUEVO: no aggregator for Promedio_Nuevo, Porcentaje_Nuevo, Ratio; left empty/
+  );
+
+  const declared = aggregateData("NUEVO.json", data, period, {
+    columns: { Promedio_Nuevo: { aggregator: "weighted_avg", args: ["Cantidad"] } },
+  });
+  assert.equal(declared[0].Promedio_Nuevo, "16.00");
+});
+
+test("build takes the period from the flags, the manifest, then the years of the data", (t) => {
+  const inputDir = fs.mkdtempSync(path.join(os.tmpdir(), "period-"));
+  t.after(() => fs.rmSync(inputDir, { recursive: true, force: true }));
+  const periodOf = (...flags) => {
+    const { from, to } = resolvePeriod(parseOptions(["--input", inputDir, ...flags]));
+    return [from, to];
+  };
+
+  assert.throws(
+    () => periodOf(),
+    /has no \.manifest\.json and no Mes_Anio months in its data; pass --year or --from\/--to/
+  );
+
+  fs.mkdirSync(path.join(inputDir, "Hotel Centro"));
+  fs.writeFileSync(
+    path.join(inputDir, "Hotel Centro", "TICKETS.json"),
+    JSON.stringify([row("Marzo 2024", "Hotel Centro", {}), row("Enero 2025", "Hotel Centro", {})])
+  );
+  assert.deepEqual(periodOf(), ["2024-01-01", "2025-12-31"]);
+  assert.deepEqual(periodOf("--year", "2023"), ["2023-01-01", "2023-12-31"]);
+
+  writeManifest(inputDir, { period: { from: "2025-01-01", to: "2025-06-30" } });
+  assert.deepEqual(periodOf(), ["2025-01-01", "2025-06-30"]);
+  assert.deepEqual(periodOf("--from", "2025-02-01", "--to", "2025-02-28"), [
+    "2025-02-01",
+    "2025-02-28",
+  ]);
+});
@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseQueryFile, loadQueryFiles } = require("../lib/queryFile");
+const { build } = require("../json_to_excel");
+const { parseOptions } = require("../lib/options");
+const { createRunReport } = require("../lib/runReport");
+
+function tempDir(t, prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("both section header styles start a section", () => {
+  const sections = parseQueryFile(`-- Preamble
+TICKETS GENERAL--------------------------
+-- @pivot: none
+SELECT 1;
+
+✅ TICKETS GENERAL (SUMATORIA POR UNIDAD)
+SELECT 2;
+`);
+  assert.deepEqual(
+    sections.map((s) => [s.title, s.fileBase, s.sql.trim(), s.group]),
+    [
+      ["TICKETS GENERAL", "TICKETS_GENERAL", "SELECT 1;", null],
+      [
+        "TICKETS GENERAL (SUMATORIA POR UNIDAD)",
+        "TICKETS_GENERAL__SUMATORIA_POR_UNIDAD_",
+        "SELECT 2;",
+        null,
+      ],
+    ]
+  );
+  assert.deepEqual(sections[0].meta, { pivot: [] });
+});
+
+test("@group before the first section applies to every section of the file", () => {
+  const sections = parseQueryFile(`-- Totales anuales
+-- @group: Anual
+
+✅ A
+SELECT 1;
+✅ B
+SELECT 2;
+`);
+  assert.deepEqual(
+    sections.map((s) => s.group),
+    ["Anual", "Anual"]
+  );
+});
+
+test("the repository's query files load together", () => {
+  const root = path.join(__dirname, "..");
+  const sections = loadQueryFiles([
+    path.join(root, "Consultas.txt"),
+    path.join(root, "Consultas_Anuales.txt"),
+  ]);
+  const annual = sections.filter((s) => s.group === "Anual");
+  assert.equal(annual.length, 5);
+  assert.ok(annual.every((s) => s.title.endsWith("(SUMATORIA POR UNIDAD)")));
+  assert.ok(sections.filter((s) => s.group === null).length > 0);
+});
+
+test("a query directory gives its .sql files in name order", (t) => {
+  const dir = tempDir(t, "queries-");
+  fs.writeFileSync(path.join(dir, "b_uno.sql"), "-- @group: Extra\n-- @sheet: Uno\nSELECT 1;\n");
+  fs.writeFileSync(path.join(dir, "a_dos.sql"), "DOS--------------------------\nSELECT 2;\n");
+  fs.writeFileSync(path.join(dir, "notas.txt"), "not a query\n");
+
+  const sections = loadQueryFiles([dir]);
+  assert.deepEqual(
+    sections.map((s) => [s.title, s.group, s.meta, path.basename(s.file)]),
+    [
+      ["DOS", null, {}, "a_dos.sql"],
+      ["b_uno", "Extra", { sheet: "Uno" }, "b_uno.sql"],
+    ]
+  );
+});
+
+test("missing query files and sections saving to the same file are errors", (t) => {
+  const dir = tempDir(t, "queries-");
+  const file = path.join(dir, "Consultas.txt");
+  fs.writeFileSync(file, "TICKETS GENERAL--------------------------\nSELECT 1;\n");
+  const other = path.join(dir, "Otras.txt");
+  fs.writeFileSync(other, "✅ TICKETS-GENERAL\nSELECT 2;\n");
+
+  assert.throws(
+    () => loadQueryFiles([path.join(dir, "nope.txt")]),
+    /Query file '.*nope.txt' does not exist/
+  );
+  assert.deepEqual(loadQueryFiles([path.join(dir, "nope.txt")], { missingOk: true }), []);
+  assert.throws(
+    () => loadQueryFiles([file, other]),
+    /Section 'TICKETS-GENERAL' \(.*Otras.txt\) and 'TICKETS GENERAL' \(.*Consultas.txt\) would both save to TICKETS_GENERAL/
+  );
+});
+
+test("grouped sections are built into their own workbooks", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const dir = tempDir(t, "groups-");
+  const inputDir = path.join(dir, "Input");
+  const unitDir = path.join(inputDir, "Palacio");
+  fs.mkdirSync(unitDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(dir, "Anuales.txt"),
+    `-- @group: Anual
+✅ TOTAL
+-- @aggregate: none
+-- @pivot: none
+SELECT 1;
+✅ TOTAL UNIDAD
+-- @aggregate: none
+SELECT :unitId;
+`
+  );
+  const rows = [{ Nombre_Unidad: "Palacio", Total: 3 }];
+  fs.writeFileSync(path.join(inputDir, "TOTAL.json"), JSON.stringify(rows));
+  fs.writeFileSync(path.join(unitDir, "TOTAL_UNIDAD.json"), JSON.stringify([{ Total: 3 }]));
+
+  const options = parseOptions([
+    "--queries",
+    path.join(dir, "Anuales.txt"),
+    "--input",
+    inputDir,
+    "--output",
+    path.join(dir, "Output"),
+    "--year",
+    "2025",
+    "--report",
+    path.join(dir, "run-report.json"),
+  ]);
+  const report = await build(options, createRunReport("build"));
+  assert.deepEqual(
+    report.entries.map((e) => e.status),
+    ["ok", "ok"]
+  );
+  assert.deepEqual(fs.readdirSync(path.join(dir, "Output")).sort(), [
+    "Anual.xlsx",
+    "Palacio_Anual.xlsx",
+  ]);
+});
@@ -0,0 +1,166 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  reconcileTotals,
+  discrepancies,
+  buildValidationLayout,
+} = require("../lib/reconcile");
+const { DEFAULT_CONFIG } = require("../lib/reportConfig");
+const { build } = require("../json_to_excel");
+const { parseOptions } = require("../lib/options");
+const { createRunReport } = require("../lib/runReport");
+
+const kinds = {
+  Nombre_Unidad: "text",
+  Cantidad_Tickets: "integer",
+  Promedio_Tiempo_Estimado: "duration",
+  Porcentaje_Cumplimiento: "percent",
+};
+
+const accumulated = [
+  {
+    Mes_Anio: "Acumulado Enero 2025 - Diciembre 2025",
+    Nombre_Unidad: "A",
+    Cantidad_Tickets: 10,
+    Promedio_Tiempo_Estimado: "0:26:01",
+    Porcentaje_Cumplimiento: "39.97",
+  },
+  {
+    Mes_Anio: "Acumulado Enero 2025 - Diciembre 2025",
+    Nombre_Unidad: "B",
+    Cantidad_Tickets: 4,
+    Promedio_Tiempo_Estimado: "0:10:00",
+    Porcentaje_Cumplimiento: "50.00",
+  },
+];
+
+test("figures within the tolerance of their kind reconcile", () => {
+  const totals = [
+    {
+      Nombre_Unidad: "A",
+      Cantidad_Tickets: 10,
+      Promedio_Tiempo_Estimado: "00:26:01.2007",
+      Porcentaje_Cumplimiento: 39.97,
+    },
+    {
+      Nombre_Unidad: "B",
+      Cantidad_Tickets: 4,
+      Promedio_Tiempo_Estimado: "00:10:00",
+      Porcentaje_Cumplimiento: 50.005,
+    },
+  ];
+  const result = reconcileTotals({
+    title: "TOTALES",
+    checked: "MENSUAL",
+    accumulated,
+    totals,
+    kinds,
+    tolerance: DEFAULT_CONFIG.reconcileTolerance,
+  });
+  assert.equal(result.checks.length, 6);
+  assert.deepEqual(discrepancies(result), []);
+  assert.deepEqual(
+    result.checks.map((c) => c.difference),
+    [0, 0.2007, 0, 0, 0, 0.005]
+  );
+});
+
+test("figures off by more than the tolerance, and missing units, are discrepancies", () => {
+  const totals = [
+    {
+      Nombre_Unidad: "A",
+      Cantidad_Tickets: 11,
+      Promedio_Tiempo_Estimado: "00:26:03",
+      Porcentaje_Cumplimiento: 39.97,
+    },
+    {
+      Nombre_Unidad: "C",
+      Cantidad_Tickets: 1,
+      Promedio_Tiempo_Estimado: "00:01:00",
+      Porcentaje_Cumplimiento: 100,
+    },
+  ];
+  const result = reconcileTotals({
+    title: "TOTALES",
+    checked: "MENSUAL",
+    accumulated,
+    totals,
+    kinds,
+    tolerance: DEFAULT_CONFIG.reconcileTolerance,
+  });
+  assert.deepEqual(
+    discrepancies(result).map((c) => [c.unit, c.metric, c.status, c.difference]),
+    [
+      ["A", "Cantidad_Tickets", "mismatch", 1],
+      ["A", "Promedio_Tiempo_Estimado", "mismatch", 2],
+      ["C", "Cantidad_Tickets", "missingAccumulated", null],
+      ["C", "Promedio_Tiempo_Estimado", "missingAccumulated", null],
+      ["C", "Porcentaje_Cumplimiento", "missingAccumulated", null],
+      ["B", "Cantidad_Tickets", "missingTotal", null],
+      ["B", "Promedio_Tiempo_Estimado", "missingTotal", null],
+      ["B", "Porcentaje_Cumplimiento", "missingTotal", null],
+    ]
+  );
+
+  const { rows } = buildValidationLayout([result]);
+  const header = rows.findIndex((r) => r.role === "header");
+  const first = rows[header + 1].cells.map((c) => c.value);
+  assert.deepEqual(first, ["TOTALES", "MENSUAL", "A", "Cantidad_Tickets", 10, 11, 1, 0, "Diferencia"]);
+  assert.equal(rows.length - header - 1, result.checks.length);
+});
+
+test("the build adds a failed Validación entry when the SQL totals disagree", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reconcile-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const inputDir = path.join(dir, "Input");
+  fs.mkdirSync(inputDir);
+
+  fs.writeFileSync(
+    path.join(dir, "Consultas.txt"),
+    `MENSUAL--------------------------
+SELECT 1;
+
+✅ TOTALES
+-- @reconcile: MENSUAL
+-- @aggregate: none
+-- @pivot: none
+SELECT 2;
+`
+  );
+  const month = (Mes_Anio, Cantidad) => ({ Mes_Anio, Nombre_Unidad: "A", Cantidad });
+  fs.writeFileSync(
+    path.join(inputDir, "MENSUAL.json"),
+    JSON.stringify([month("Enero 2025", 3), month("Febrero 2025", 4)])
+  );
+  fs.writeFileSync(
+    path.join(inputDir, "TOTALES.json"),
+    JSON.stringify([{ Nombre_Unidad: "A", Cantidad: 8 }])
+  );
+
+  const options = parseOptions([
+    "--queries",
+    path.join(dir, "Consultas.txt"),
+    "--input",
+    inputDir,
+    "--output",
+    path.join(dir, "Output"),
+    "--from",
+    "2025-01-01",
+    "--to",
+    "2025-02-28",
+    "--format",
+    "csv",
+    "--report",
+    path.join(dir, "run-report.json"),
+  ]);
+  const report = await build(options, createRunReport("build"));
+  const validation = report.entries.find((e) => e.section === "Validación: TOTALES");
+  assert.equal(validation.status, "failed");
+  assert.equal(validation.rows, 1);
+  assert.match(validation.error, /1 figure\(s\) differ from the "Acumulado" of 'MENSUAL'/);
+});
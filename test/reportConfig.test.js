@@ -0,0 +1,182 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  DEFAULT_CONFIG,
+  loadReportConfig,
+  applyReportConfig,
+  zeroValue,
+  validateReportData,
+  reportColumnKinds,
+} = require("../lib/reportConfig");
+const { parseQueryFile } = require("../lib/queryFile");
+
+function writeConfig(t, config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reports-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "reports.json");
+  fs.writeFileSync(file, typeof config === "string" ? config : JSON.stringify(config));
+  return file;
+}
+
+const QUERIES = `TICKETS GENERAL--------------------------
+-- @pivot: Cantidad_Tickets
+-- @columns: Cantidad_Tickets=sum
+SELECT 1;
+
+TOP HABITACIONES--------------------------
+SELECT 2;
+`;
+
+test("the repository's config/reports.json is valid", () => {
+  const config = loadReportConfig(path.join(__dirname, "..", "config", "reports.json"));
+  assert.equal(config.defaultWorkbook, "General");
+});
+
+test("a missing config file means the defaults", () => {
+  assert.deepEqual(loadReportConfig("/nonexistent/reports.json"), DEFAULT_CONFIG);
+});
+
+test("config errors name the file and the problem", (t) => {
+  const cases = [
+    [{ sheetNameLength: 40 }, /"sheetNameLength" must be an integer from 1 to 31/],
+    [{ pivotMetric: [] }, /unknown key "pivotMetric"/],
+    [{ zeroFill: [{ column: "*" }] }, /"zeroFill" must be a list/],
+    [{ reports: { X: { pivots: [] } } }, /report 'X': unknown key "pivots"/],
+    [{ reports: { X: { scope: "all" } } }, /report 'X': "scope" must be "unit" or "general"/],
+    [
+      { reports: { X: { columns: { A: { type: "money" } } } } },
+      /report 'X', column A: "type" must be one of text, integer/,
+    ],
+    [
+      { reports: { X: { columns: { A: { aggregate: "median" } } } } },
+      /report 'X', column A: Unknown aggregator 'median'/,
+    ],
+    [{ reports: { X: { key: [] } } }, /report 'X': "key" needs at least one column/],
+    [{ reports: { X: { window: 0 } } }, /report 'X': "window" must be a whole number of days/],
+    [{ reconcileTolerance: { duration: -1 } }, /"reconcileTolerance" must map column kinds/],
+    [{ reports: { X: { reconcile: "" } } }, /report 'X': "reconcile" must be a non-empty string/],
+    [
+      { reports: { X: { pivotBy: ["Mes_Anio"] } } },
+      /report 'X': "pivotBy" needs a row and a column key/,
+    ],
+    [{ summary: { tables: [], ranking: null } }, /"summary": unknown key "ranking"/],
+    [{ summary: { tables: [{ title: "T", columns: [] }] } }, /"summary" table 1: "columns" must be/],
+    [
+      { summary: { tables: [{ title: "T", columns: [{ report: "X", column: "A", label: "A" }] }] } },
+      /"summary" table 1, column 1: no report 'X' in "reports"/,
+    ],
+    [
+      {
+        reports: { X: { columns: { A: { type: "integer" } } } },
+        summary: {
+          tables: [],
+          monthRanking: { title: "T", report: "X", metric: "B", activity: "A" },
+        },
+      },
+      /"summary" monthRanking: 'B' is not one of the "columns" of report 'X'/,
+    ],
+  ];
+  for (const [config, message] of cases) {
+    const file = writeConfig(t, config);
+    assert.throws(() => loadReportConfig(file), (err) => {
+      assert.ok(err.message.startsWith(`${file}: `), err.message);
+      assert.match(err.message, message);
+      return true;
+    });
+  }
+  const broken = writeConfig(t, "{ nope");
+  assert.throws(() => loadReportConfig(broken), (err) => err.message.startsWith(`${broken}: `));
+});
+
+test("report definitions are folded into the section metadata", () => {
+  const sections = parseQueryFile(QUERIES);
+  const config = {
+    ...DEFAULT_CONFIG,
+    reports: {
+      "TICKETS GENERAL": {
+        workbook: "Tickets",
+        pivot: ["Cantidad_Tickets"],
+        columns: {
+          Cantidad_Tickets: { type: "integer", aggregate: "sum" },
+          Porcentaje_Cumplimiento: { type: "percent" },
+        },
+        zeroFill: { Porcentaje_Cumplimiento: "0.00" },
+      },
+      "NO SUCH SECTION": { sheet: "X" },
+    },
+  };
+  const unmatched = applyReportConfig(sections, config);
+  assert.deepEqual(unmatched, ["NO SUCH SECTION"]);
+  assert.deepEqual(sections[0].meta, {
+    pivot: ["Cantidad_Tickets"],
+    columns: { Cantidad_Tickets: { aggregator: "sum", args: [] } },
+    workbook: "Tickets",
+    types: { Cantidad_Tickets: "integer", Porcentaje_Cumplimiento: "percent" },
+    zeroFill: { Porcentaje_Cumplimiento: "0.00" },
+  });
+  assert.deepEqual(sections[1].meta, {});
+});
+
+test("a report disagreeing with its section's metadata is an error", () => {
+  const config = (report) => ({ ...DEFAULT_CONFIG, reports: { "TICKETS GENERAL": report } });
+  assert.throws(
+    () => applyReportConfig(parseQueryFile(QUERIES), config({ pivot: ["Otra"] })),
+    /Section 'TICKETS GENERAL': @pivot in the query file and "pivot" in config\/reports.json disagree/
+  );
+  assert.throws(
+    () =>
+      applyReportConfig(
+        parseQueryFile(QUERIES),
+        config({ columns: { Cantidad_Tickets: { aggregate: "max" } } })
+      ),
+    /@columns for Cantidad_Tickets in the query file and "aggregate" of Cantidad_Tickets/
+  );
+});
+
+test("zeroValue: report fill value, then the declared type, then the default rules", () => {
+  const meta = {
+    types: { Promedio: "duration", Cantidad_Tickets: "number" },
+    zeroFill: { Cantidad_Tickets: "-" },
+  };
+  assert.equal(zeroValue("Cantidad_Tickets", meta), "-");
+  assert.equal(zeroValue("Promedio", meta), "0:00:00");
+  assert.equal(zeroValue("Total_Tickets_TI"), 0);
+  assert.equal(zeroValue("Total_Tiempo_Productivo"), "0:00:00");
+  assert.equal(zeroValue("Porcentaje_Cumplimiento"), "0.00");
+  assert.equal(zeroValue("Otra"), 0);
+});
+
+test("data disagreeing with the report definition is an error naming the column", () => {
+  const rows = [
+    { Departamento: "Mantenimiento", Cantidad_Tickets: 3, Tiempo: "1:00:00" },
+    { Departamento: "Ama de Llaves", Cantidad_Tickets: "2.5", Tiempo: "abc" },
+  ];
+  assert.throws(
+    () => validateReportData({ key: ["Departamento", "Unidad"] }, rows),
+    /column\(s\) Unidad of the report definition not in the data/
+  );
+  assert.throws(
+    () => validateReportData({ types: { Cantidad_Tickets: "integer" } }, rows),
+    /Cantidad_Tickets is declared integer in config\/reports.json but row 2 has '2.5'/
+  );
+  assert.throws(
+    () => validateReportData({ types: { Tiempo: "duration" } }, rows),
+    /Tiempo is declared duration in config\/reports.json but row 2 has 'abc'/
+  );
+  validateReportData({ types: { Cantidad_Tickets: "number" }, key: ["Departamento"] }, rows);
+});
+
+test("declared types win over the guessed column kinds", () => {
+  const rows = [{ Codigo: "0012", Porcentaje_Cumplimiento: "25.64" }];
+  assert.deepEqual(reportColumnKinds(rows, ["Codigo", "Porcentaje_Cumplimiento"]), {
+    Codigo: "integer",
+    Porcentaje_Cumplimiento: "percent",
+  });
+  assert.deepEqual(
+    reportColumnKinds(rows, ["Codigo", "Porcentaje_Cumplimiento"], { types: { Codigo: "text" } }),
+    { Codigo: "text", Porcentaje_Cumplimiento: "percent" }
+  );
+});
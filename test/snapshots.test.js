@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  snapshotName,
+  createSnapshot,
+  isCompleteSnapshot,
+  listSnapshots,
+  previousSnapshot,
+} = require("../lib/snapshots");
+const { writeManifest } = require("../lib/manifest");
+const { extract } = require("../process_queries");
+const { parseOptions } = require("../lib/options");
+const { createRunReport } = require("../lib/runReport");
+
+function tempDir(t, prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// An extract in `dir` generated at `generatedAt`, with one row file
+function writeExtract(dir, generatedAt, rows = [{ Cantidad: 1 }]) {
+  fs.mkdirSync(dir, { recursive: true });
+  writeManifest(dir, { period: { from: "2025-01-01", to: "2025-01-31" }, generatedAt });
+  fs.writeFileSync(path.join(dir, "TICKETS.json"), JSON.stringify(rows));
+}
+
+test("snapshot names keep the milliseconds and sort by time", () => {
+  assert.equal(snapshotName("2026-03-05T08:00:12.345Z"), "2026-03-05T08-00-12-345Z");
+  assert.ok(snapshotName("2026-03-05T08:00:12.345Z") < snapshotName("2026-03-05T08:00:12.346Z"));
+});
+
+test("extracts with the same timestamp get snapshots of their own", (t) => {
+  const dir = tempDir(t, "snapshots-");
+  const input = path.join(dir, "Input");
+  const snapshots = path.join(dir, "snapshots");
+
+  writeExtract(input, "2026-03-05T08:00:12.345Z", [{ Cantidad: 1 }]);
+  const first = createSnapshot(input, snapshots);
+  writeExtract(input, "2026-03-05T08:00:12.345Z", [{ Cantidad: 2 }]);
+  const second = createSnapshot(input, snapshots);
+
+  assert.deepEqual(listSnapshots(snapshots), [
+    "2026-03-05T08-00-12-345Z",
+    "2026-03-05T08-00-12-345Z-1",
+  ]);
+  const rows = (snapshot) => JSON.parse(fs.readFileSync(path.join(snapshot, "TICKETS.json"), "utf8"));
+  assert.deepEqual(rows(first), [{ Cantidad: 1 }]);
+  assert.deepEqual(rows(second), [{ Cantidad: 2 }]);
+});
+
+test("only complete snapshots are the previous extract", (t) => {
+  const dir = tempDir(t, "snapshots-");
+  const input = path.join(dir, "Input");
+  const snapshots = path.join(dir, "snapshots");
+
+  writeExtract(input, "2026-03-01T08:00:00.000Z");
+  const complete = createSnapshot(input, snapshots);
+  writeExtract(input, "2026-03-02T08:00:00.000Z");
+  const partial = createSnapshot(input, snapshots, { failedSections: ["TICKETS"] });
+  // Taken before snapshots were marked
+  writeExtract(path.join(snapshots, "2026-03-03T08-00-00Z"), "2026-03-03T08:00:00.000Z");
+  writeExtract(input, "2026-03-04T08:00:00.000Z");
+
+  assert.equal(isCompleteSnapshot(complete), true);
+  assert.equal(isCompleteSnapshot(partial), false);
+  assert.equal(previousSnapshot(snapshots, input), complete);
+  assert.deepEqual(listSnapshots(snapshots, { completeOnly: true }), [path.basename(complete)]);
+});
+
+test("an extract with failed queries leaves an incomplete snapshot", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(console, "error", () => {});
+  const dir = tempDir(t, "snapshots-");
+  fs.writeFileSync(
+    path.join(dir, "Consultas.txt"),
+    `UNO--------------------------
+-- @scope: general
+SELECT 1 AS Cantidad;
+
+ROTA--------------------------
+-- @scope: general
+SELECT * FROM tabla_que_no_existe;
+`
+  );
+  const options = parseOptions([
+    "--source",
+    "sqlite",
+    "--queries",
+    path.join(dir, "Consultas.txt"),
+    "--input",
+    path.join(dir, "Input"),
+    "--year",
+    "2025",
+    "--retries",
+    "0",
+  ]);
+  const report = await extract(options, createRunReport("extract"));
+  assert.equal(report.entries.find((e) => e.section === "ROTA").status, "failed");
+
+  const [snapshot] = listSnapshots(options.snapshotsDir);
+  const manifest = JSON.parse(
+    fs.readFileSync(path.join(options.snapshotsDir, snapshot, ".manifest.json"), "utf8")
+  );
+  assert.equal(manifest.complete, false);
+  assert.deepEqual(manifest.failedSections, ["ROTA"]);
+  assert.equal(previousSnapshot(options.snapshotsDir, options.inputDir), null);
+});
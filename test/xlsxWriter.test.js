@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const { writeWorkbook } = require("../lib/xlsxWriter");
+
+const textRow = (role, ...values) => ({
+  role,
+  cells: values.map((value) => ({ value, kind: "text" })),
+});
+
+test("continuation sheets keep within the configured sheet name length", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "xlsx-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "General.xlsx");
+
+  const rows = [
+    textRow("header", "id"),
+    textRow("data", "1"),
+    textRow("data", "2"),
+    textRow("data", "3"),
+  ];
+  await writeWorkbook([{ name: "TICKETS_RA", rows, pivotBlocks: [] }], file, {
+    maxRows: 2,
+    sheetNameLength: 10,
+  });
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(file);
+  const names = workbook.worksheets.map((sheet) => sheet.name);
+  assert.deepEqual(names, ["TICKETS_RA", "TICKETS__2", "TICKETS__3"]);
+  // Every continuation repeats the header
+  for (const sheet of workbook.worksheets) {
+    assert.equal(sheet.getCell("A1").value, "id");
+  }
+});